@@ -0,0 +1,222 @@
+/**
+ * BarnesHut - Octree for O(n log n) particle self-gravity
+ * Distant groups of particles are approximated by their centre of mass
+ * whenever (node size / distance) is below the opening angle θ.
+ * Flat typed arrays that are reused between builds, so rebuilding allocates nothing.
+ */
+
+const MAX_DEPTH = 20; // Coincident particles share a leaf below this depth
+const EMPTY = -1; // Leaf with no particle
+const MULTI = -2; // Internal node, or a leaf holding several coincident particles
+
+export class BarnesHutTree {
+  constructor(capacity = 1024) {
+    this.nodeCount = 0;
+    this.stack = new Int32Array(8 * MAX_DEPTH + 8);
+    this.allocate(capacity);
+  }
+
+  allocate(capacity) {
+    const grow = (Type, old, size) => {
+      const arr = new Type(size);
+      if (old) arr.set(old.subarray(0, Math.min(old.length, size)));
+      return arr;
+    };
+    this.capacity = capacity;
+    this.centerX = grow(Float64Array, this.centerX, capacity);
+    this.centerY = grow(Float64Array, this.centerY, capacity);
+    this.centerZ = grow(Float64Array, this.centerZ, capacity);
+    this.half = grow(Float64Array, this.half, capacity);
+    this.mass = grow(Float64Array, this.mass, capacity);
+    this.comX = grow(Float64Array, this.comX, capacity);
+    this.comY = grow(Float64Array, this.comY, capacity);
+    this.comZ = grow(Float64Array, this.comZ, capacity);
+    this.firstChild = grow(Int32Array, this.firstChild, capacity);
+    this.body = grow(Int32Array, this.body, capacity);
+  }
+
+  /**
+   * Reserve a run of nodes, growing the pool if needed
+   * @returns {number} Index of the first node
+   */
+  allocNodes(n, cx, cy, cz, half) {
+    if (this.nodeCount + n > this.capacity) {
+      this.allocate(Math.max(this.capacity * 2, this.nodeCount + n));
+    }
+    const start = this.nodeCount;
+    this.nodeCount += n;
+    for (let k = 0; k < n; k++) {
+      const node = start + k;
+      const h = half / 2;
+      this.centerX[node] = n === 1 ? cx : cx + (k & 1 ? h : -h);
+      this.centerY[node] = n === 1 ? cy : cy + (k & 2 ? h : -h);
+      this.centerZ[node] = n === 1 ? cz : cz + (k & 4 ? h : -h);
+      this.half[node] = n === 1 ? half : h;
+      this.mass[node] = 0;
+      this.comX[node] = 0;
+      this.comY[node] = 0;
+      this.comZ[node] = 0;
+      this.firstChild[node] = -1;
+      this.body[node] = EMPTY;
+    }
+    return start;
+  }
+
+  /**
+   * Build the tree from particle positions
+   * @param {Float32Array} pos - Positions (xyz interleaved)
+   * @param {Float32Array} masses - Per-particle mass
+   * @param {Uint8Array} alive - Only live particles are inserted
+   * @param {number} count - Particle count
+   */
+  build(pos, masses, alive, count) {
+    this.nodeCount = 0;
+
+    // Cubic root cell around all live particles
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (!alive[i]) continue;
+      const i3 = i * 3;
+      minX = Math.min(minX, pos[i3]);
+      maxX = Math.max(maxX, pos[i3]);
+      minY = Math.min(minY, pos[i3 + 1]);
+      maxY = Math.max(maxY, pos[i3 + 1]);
+      minZ = Math.min(minZ, pos[i3 + 2]);
+      maxZ = Math.max(maxZ, pos[i3 + 2]);
+    }
+    if (minX === Infinity) return;
+
+    const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-4;
+    this.allocNodes(1, (minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+
+    for (let i = 0; i < count; i++) {
+      if (alive[i]) this.insert(i, pos, masses[i]);
+    }
+
+    // Mass-weighted sums -> centres of mass
+    for (let node = 0; node < this.nodeCount; node++) {
+      const m = this.mass[node];
+      if (m > 0) {
+        this.comX[node] /= m;
+        this.comY[node] /= m;
+        this.comZ[node] /= m;
+      }
+    }
+  }
+
+  addMass(node, x, y, z, m) {
+    this.mass[node] += m;
+    this.comX[node] += x * m;
+    this.comY[node] += y * m;
+    this.comZ[node] += z * m;
+  }
+
+  childFor(node, x, y, z) {
+    return this.firstChild[node] +
+      (x >= this.centerX[node] ? 1 : 0) +
+      (y >= this.centerY[node] ? 2 : 0) +
+      (z >= this.centerZ[node] ? 4 : 0);
+  }
+
+  insert(i, pos, m) {
+    const i3 = i * 3;
+    const x = pos[i3];
+    const y = pos[i3 + 1];
+    const z = pos[i3 + 2];
+    let node = 0;
+    let depth = 0;
+
+    for (;;) {
+      // Internal node: account for the mass and descend
+      if (this.firstChild[node] >= 0) {
+        this.addMass(node, x, y, z, m);
+        node = this.childFor(node, x, y, z);
+        depth++;
+        continue;
+      }
+
+      const body = this.body[node];
+      if (body === EMPTY) {
+        this.body[node] = i;
+        this.addMass(node, x, y, z, m);
+        return;
+      }
+
+      // Too deep to split further (coincident particles): share the leaf
+      if (body === MULTI || depth >= MAX_DEPTH) {
+        this.body[node] = MULTI;
+        this.addMass(node, x, y, z, m);
+        return;
+      }
+
+      // Occupied leaf: split and push the resident particle down a level.
+      // The node's mass already includes it; loop again to add particle i.
+      const child = this.allocNodes(8, this.centerX[node], this.centerY[node], this.centerZ[node], this.half[node]);
+      this.firstChild[node] = child;
+      this.body[node] = MULTI;
+
+      const b3 = body * 3;
+      const bx = pos[b3];
+      const by = pos[b3 + 1];
+      const bz = pos[b3 + 2];
+      const target = this.childFor(node, bx, by, bz);
+      const bm = this.mass[node];
+      this.body[target] = body;
+      this.mass[target] = bm;
+      this.comX[target] = bx * bm;
+      this.comY[target] = by * bm;
+      this.comZ[target] = bz * bm;
+    }
+  }
+
+  /**
+   * Add the gravitational acceleration on particle i from the whole tree
+   * @param {number} G - Gravitational constant
+   * @param {number} theta - Opening angle (0 = exact, larger = faster/coarser)
+   * @param {number} softening - Softening length, keeps close encounters finite
+   * @param {Float32Array} out - Accumulated accelerations
+   */
+  accumulate(i, pos, G, theta, softening, out) {
+    if (this.nodeCount === 0) return;
+
+    const i3 = i * 3;
+    const px = pos[i3];
+    const py = pos[i3 + 1];
+    const pz = pos[i3 + 2];
+    const thetaSq = theta * theta;
+    const epsSq = softening * softening;
+    const { mass, comX, comY, comZ, half, firstChild, body, stack } = this;
+    let top = 0;
+    let ax = 0, ay = 0, az = 0;
+
+    stack[top++] = 0;
+    while (top > 0) {
+      const node = stack[--top];
+      const dx = comX[node] - px;
+      const dy = comY[node] - py;
+      const dz = comZ[node] - pz;
+      const distSq = dx * dx + dy * dy + dz * dz;
+      const first = firstChild[node];
+      const size = half[node] * 2;
+
+      if (first < 0 || size * size < thetaSq * distSq) {
+        if (body[node] === i) continue; // Self
+        const r2 = distSq + epsSq;
+        const f = G * mass[node] / (r2 * Math.sqrt(r2));
+        ax += dx * f;
+        ay += dy * f;
+        az += dz * f;
+      } else {
+        // Open the node; empty children are never visited
+        for (let c = first; c < first + 8; c++) {
+          if (mass[c] > 0) stack[top++] = c;
+        }
+      }
+    }
+
+    out[i3] += ax;
+    out[i3 + 1] += ay;
+    out[i3 + 2] += az;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * BlackHole - What the merged two-hand well turns into when enabled
+ * Particles that cross the event horizon are captured (they go dormant and
+ * their mass is added to the hole, which grows the horizon and the pull).
+ * Particles orbiting inside the accretion disk are spun up tangentially.
+ * Pulling the hands apart releases the captured mass as two opposed jets
+ * along the line the hands separate on.
+ */
+
+export class BlackHole {
+  static defaults = {
+    enabled: false,
+    horizon: 0.08, // Event horizon radius with nothing captured
+    horizonGrowth: 0.004, // Added per sqrt(captured mass)
+    diskRadius: 0.6, // Accretion disk outer radius
+    spin: 0.0012, // Tangential kick at the horizon (per 1/60 s tick)
+    strengthScale: 2, // Pull of the merged well over the plain merge
+    massGain: 0.002, // Extra pull per unit of captured mass
+    jetSpeed: 0.08, // Units per tick (the velocity clamp)
+    jetSpread: 0.08, // Cone half-angle in radians
+    jetRate: 600, // Particles per second while releasing
+    holdTime: 3 // Seconds without hands before the hole evaporates into jets
+  };
+
+  constructor(params = {}) {
+    this.params = { ...BlackHole.defaults };
+    this.resetState();
+    this.setParams(params);
+  }
+
+  setParams(params) {
+    Object.assign(this.params, params);
+    // Switched off while holding mass: let it all out
+    if (!this.params.enabled && this.active) {
+      this.active = false;
+      this.releasing = this.captured.length > 0;
+    }
+  }
+
+  resetState() {
+    this.active = false; // Hands merged and the hole is open
+    this.x = 0;
+    this.y = 0;
+    this.z = 0;
+    this.captured = []; // Species index of each captured particle
+    this.mass = 0; // Total captured mass
+    this.releasing = false;
+    this.axis = 0; // Jet direction in radians
+    this.carry = 0; // Fractional particles owed to the jets
+    this.jetSide = 0;
+    this.idle = 0; // Seconds since the hands disappeared
+  }
+
+  /**
+   * Internal state that must survive a snapshot
+   */
+  getState() {
+    return {
+      active: this.active,
+      x: this.x,
+      y: this.y,
+      z: this.z,
+      captured: [...this.captured],
+      mass: this.mass,
+      releasing: this.releasing,
+      axis: this.axis,
+      carry: this.carry,
+      jetSide: this.jetSide,
+      idle: this.idle
+    };
+  }
+
+  setState(state) {
+    Object.assign(this, state, { captured: [...state.captured] });
+  }
+
+  /**
+   * Event horizon radius for the mass captured so far
+   */
+  get horizon() {
+    return this.params.horizon + this.params.horizonGrowth * Math.sqrt(this.mass);
+  }
+
+  /**
+   * Multiplier on the merged well's strength
+   */
+  strengthScale() {
+    return this.params.strengthScale * (1 + this.params.massGain * this.mass);
+  }
+
+  /**
+   * Capture, spin and release after a step
+   * @param {Physics} physics
+   * @param {number} seconds - Step length
+   */
+  update(physics, seconds) {
+    if (!this.params.enabled) {
+      if (this.releasing) this.release(physics, seconds);
+      return;
+    }
+
+    const field = physics.getField('wells');
+    const merged = field?.enabled ? field.merged : null;
+    const hands = field?.enabled ? field.handWells : [];
+    const attracting = merged && (merged.polarity ?? (physics.attractMode ? 1 : -1)) > 0;
+
+    if (attracting) {
+      this.active = true;
+      this.releasing = false;
+      this.idle = 0;
+      this.x = merged.x;
+      this.y = merged.y;
+      this.z = merged.z;
+      this.accrete(physics, seconds);
+      return;
+    }
+
+    if (this.active) {
+      if (hands.length === 2) {
+        // Hands pulled apart: fire along the separation line
+        this.active = false;
+        this.releasing = true;
+        this.axis = Math.atan2(hands[1].y - hands[0].y, hands[1].x - hands[0].x);
+      } else if (hands.length === 0) {
+        this.idle += seconds;
+        if (this.idle > this.params.holdTime) {
+          this.active = false;
+          this.releasing = true;
+          this.axis = Math.PI / 2;
+        }
+      }
+    }
+
+    if (this.releasing) this.release(physics, seconds);
+  }
+
+  /**
+   * Swallow particles inside the horizon, spin up the disk around it
+   */
+  accrete(physics, seconds) {
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const h = seconds * 60;
+    const horizon = this.horizon;
+    const horizonSq = horizon * horizon;
+    const disk = Math.max(this.params.diskRadius, horizon * 2);
+    const diskSq = disk * disk;
+
+    for (let i = 0; i < physics.count; i++) {
+      if (!physics.alive[i] || physics.constraints.members[i]) continue;
+      const i3 = i * 3;
+      const dx = pos[i3] - this.x;
+      const dy = pos[i3 + 1] - this.y;
+      const dz = pos[i3 + 2] - this.z;
+      const distSq = dx * dx + dy * dy + dz * dz;
+
+      if (distSq < horizonSq) {
+        this.captured.push(physics.speciesIds[i]);
+        this.mass += physics.masses[i];
+        physics.deactivateParticle(i);
+      } else if (distSq < diskSq) {
+        // Counter-clockwise tangent in the hand plane, strongest near the horizon
+        const r = Math.sqrt(dx * dx + dy * dy);
+        if (r < 1e-6) continue;
+        const kick = this.params.spin * h * (horizon / Math.max(r, horizon)) * (1 - Math.sqrt(distSq) / disk);
+        vel[i3] += (-dy / r) * kick;
+        vel[i3 + 1] += (dx / r) * kick;
+      }
+    }
+  }
+
+  /**
+   * Shoot captured mass out of both poles until the hole is empty
+   */
+  release(physics, seconds) {
+    const { jetSpeed, jetSpread, jetRate } = this.params;
+    this.carry += jetRate * seconds;
+    const offset = this.horizon * 1.5;
+
+    while (this.carry >= 1 && this.captured.length > 0) {
+      this.carry -= 1;
+      const species = this.captured.pop();
+      this.jetSide = 1 - this.jetSide;
+      const angle = this.axis + this.jetSide * Math.PI + (physics.random() * 2 - 1) * jetSpread;
+      const speed = jetSpeed * (0.85 + physics.random() * 0.15);
+      const i = physics.spawnParticle(
+        this.x + Math.cos(angle) * offset,
+        this.y + Math.sin(angle) * offset,
+        this.z,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        0,
+        0,
+        species < physics.species.length ? species : -1
+      );
+      this.mass = Math.max(0, this.mass - physics.masses[i]);
+    }
+
+    if (this.captured.length === 0) {
+      this.releasing = false;
+      this.mass = 0;
+      this.carry = 0;
+    }
+  }
+
+  /**
+   * Plain-data view for the renderer
+   */
+  describe() {
+    return {
+      enabled: this.params.enabled,
+      active: this.active,
+      releasing: this.releasing,
+      x: this.x,
+      y: this.y,
+      z: this.z,
+      horizon: this.horizon,
+      diskRadius: Math.max(this.params.diskRadius, this.horizon * 2),
+      mass: this.mass,
+      captured: this.captured.length,
+      axis: this.axis
+    };
+  }
+}
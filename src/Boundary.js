@@ -0,0 +1,178 @@
+/**
+ * Boundary - What happens to particles that leave the world
+ * Shapes: 'circle' (radius) or 'rect' (half extents, e.g. the camera frustum at z=0)
+ * Modes: 'respawn' at an emitter, 'wrap' (toroidal), 'bounce' (elastic),
+ *        'bounce-inelastic' (loses energy), 'absorb' (particle goes dormant)
+ */
+
+export const BOUNDARY_MODES = ['respawn', 'wrap', 'bounce', 'bounce-inelastic', 'absorb'];
+export const BOUNDARY_SHAPES = ['circle', 'rect'];
+
+export class Boundary {
+  static defaults = {
+    shape: 'circle',
+    mode: 'respawn',
+    radius: 4,
+    halfWidth: 2.6,
+    halfHeight: 1.7,
+    halfDepth: 0, // Limit along z, 0 = unbounded (flat world)
+    restitution: 0.5, // Used by 'bounce-inelastic'
+    emitter: { x: 0, y: 0, minRadius: 0.1, maxRadius: 0.4, speed: 0.01 }
+  };
+
+  constructor(params = {}) {
+    this.params = { ...Boundary.defaults, emitter: { ...Boundary.defaults.emitter } };
+    this.setParams(params);
+  }
+
+  setParams(params) {
+    if (params.shape && !BOUNDARY_SHAPES.includes(params.shape)) {
+      throw new Error(`Unknown boundary shape: ${params.shape}`);
+    }
+    if (params.mode && !BOUNDARY_MODES.includes(params.mode)) {
+      throw new Error(`Unknown boundary mode: ${params.mode}`);
+    }
+    const emitter = { ...this.params.emitter, ...params.emitter };
+    Object.assign(this.params, params, { emitter });
+  }
+
+  /**
+   * Resolve particle i if it is outside the boundary
+   */
+  apply(physics, i) {
+    if (this.params.shape === 'circle') {
+      this.applyCircle(physics, i);
+    } else {
+      this.applyRect(physics, i);
+    }
+    if (this.params.halfDepth > 0 && physics.alive[i]) {
+      this.applyDepth(physics, i);
+    }
+  }
+
+  /**
+   * Front and back walls of the 3D volume, same modes as the outline
+   */
+  applyDepth(physics, i) {
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const iz = i * 3 + 2;
+    const h = this.params.halfDepth;
+    const z = pos[iz];
+    if (z >= -h && z <= h) return;
+
+    const side = z > 0 ? 1 : -1;
+
+    switch (this.params.mode) {
+      case 'wrap':
+        pos[iz] = z - side * 2 * h;
+        break;
+
+      case 'bounce':
+      case 'bounce-inelastic': {
+        const e = this.params.mode === 'bounce' ? 1 : this.params.restitution;
+        pos[iz] = side * h;
+        if (vel[iz] * side > 0) {
+          vel[iz] *= -e;
+        }
+        break;
+      }
+
+      case 'absorb':
+        pos[iz] = side * h;
+        physics.deactivateParticle(i);
+        break;
+
+      default:
+        physics.respawnParticle(i);
+    }
+  }
+
+  applyCircle(physics, i) {
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const i3 = i * 3;
+    const R = this.params.radius;
+    const px = pos[i3];
+    const py = pos[i3 + 1];
+    const distSq = px * px + py * py;
+
+    if (distSq <= R * R) return;
+
+    const dist = Math.sqrt(distSq);
+    const nx = px / dist;
+    const ny = py / dist;
+
+    switch (this.params.mode) {
+      case 'wrap':
+        // Re-enter from the opposite side, keeping velocity
+        pos[i3] = -nx * (2 * R - dist);
+        pos[i3 + 1] = -ny * (2 * R - dist);
+        break;
+
+      case 'bounce':
+      case 'bounce-inelastic': {
+        const e = this.params.mode === 'bounce' ? 1 : this.params.restitution;
+        pos[i3] = nx * R;
+        pos[i3 + 1] = ny * R;
+        const vn = vel[i3] * nx + vel[i3 + 1] * ny;
+        if (vn > 0) {
+          vel[i3] -= (1 + e) * vn * nx;
+          vel[i3 + 1] -= (1 + e) * vn * ny;
+        }
+        break;
+      }
+
+      case 'absorb':
+        pos[i3] = nx * R;
+        pos[i3 + 1] = ny * R;
+        physics.deactivateParticle(i);
+        break;
+
+      default:
+        physics.respawnParticle(i);
+    }
+  }
+
+  applyRect(physics, i) {
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const i3 = i * 3;
+    const extents = [this.params.halfWidth, this.params.halfHeight];
+
+    for (let axis = 0; axis < 2; axis++) {
+      const h = extents[axis];
+      const p = pos[i3 + axis];
+      if (p >= -h && p <= h) continue;
+
+      const side = p > 0 ? 1 : -1;
+
+      switch (this.params.mode) {
+        case 'wrap':
+          pos[i3 + axis] = p - side * 2 * h;
+          break;
+
+        case 'bounce':
+        case 'bounce-inelastic': {
+          const e = this.params.mode === 'bounce' ? 1 : this.params.restitution;
+          pos[i3 + axis] = side * h;
+          if (vel[i3 + axis] * side > 0) {
+            vel[i3 + axis] *= -e;
+          }
+          break;
+        }
+
+        case 'absorb':
+          // Pin to the edge (both axes, in case of a corner exit)
+          pos[i3] = Math.max(-extents[0], Math.min(extents[0], pos[i3]));
+          pos[i3 + 1] = Math.max(-extents[1], Math.min(extents[1], pos[i3 + 1]));
+          physics.deactivateParticle(i);
+          return;
+
+        default:
+          physics.respawnParticle(i);
+          return;
+      }
+    }
+  }
+}
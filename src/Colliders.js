@@ -0,0 +1,239 @@
+/**
+ * Colliders - Solid geometry particles bounce off
+ * Circles, capsules (thick segments) and polylines (thick strokes), each with
+ * restitution (bounciness) and friction. Created by type name from the main thread.
+ */
+
+/**
+ * Base collider - subclasses override closestPoint()
+ */
+export class Collider {
+  static defaults = {
+    restitution: 0.6, // 0 = dead stop, 1 = perfectly elastic
+    friction: 0.1 // Fraction of tangential velocity lost per contact
+  };
+
+  constructor(params = {}) {
+    this.id = params.id ?? null;
+    this.enabled = params.enabled ?? true;
+    this.params = { ...this.constructor.defaults };
+    this.hit = { x: 0, y: 0, radius: 0 }; // Reused closest-point result
+    this.setParams(params);
+  }
+
+  setParams(params) {
+    for (const key of Object.keys(params)) {
+      if (key === 'id') continue;
+      if (key === 'enabled') this.enabled = params.enabled;
+      else this.params[key] = params[key];
+    }
+    this.computeBounds();
+  }
+
+  /**
+   * Axis-aligned bounds (including thickness) for a cheap early-out
+   */
+  computeBounds() {
+    this.bounds = { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity };
+  }
+
+  /**
+   * Find the nearest surface point for (px, py)
+   * @param {Object} out - Receives { x, y, radius } of the closest core point
+   * @returns {boolean} false when the point cannot be touching
+   */
+  closestPoint(px, py, out) {
+    return false;
+  }
+
+  /**
+   * Push particle i out of the collider and bounce its velocity
+   */
+  resolve(physics, i) {
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const i3 = i * 3;
+    const px = pos[i3];
+    const py = pos[i3 + 1];
+    const b = this.bounds;
+
+    if (px < b.minX || px > b.maxX || py < b.minY || py > b.maxY) return;
+
+    const hit = this.hit;
+    if (!this.closestPoint(px, py, hit)) return;
+
+    let dx = px - hit.x;
+    let dy = py - hit.y;
+    let dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= hit.radius) return;
+
+    // Exactly on the core: push out against the incoming velocity
+    if (dist < 1e-6) {
+      dx = -vel[i3];
+      dy = -vel[i3 + 1];
+      dist = Math.sqrt(dx * dx + dy * dy) || 1;
+      if (dx === 0 && dy === 0) dy = 1;
+    }
+
+    const nx = dx / dist;
+    const ny = dy / dist;
+    pos[i3] = hit.x + nx * hit.radius;
+    pos[i3 + 1] = hit.y + ny * hit.radius;
+
+    const vn = vel[i3] * nx + vel[i3 + 1] * ny;
+    if (vn < 0) {
+      const { restitution, friction } = this.params;
+      const tx = vel[i3] - vn * nx;
+      const ty = vel[i3 + 1] - vn * ny;
+      vel[i3] = tx * (1 - friction) - vn * restitution * nx;
+      vel[i3 + 1] = ty * (1 - friction) - vn * restitution * ny;
+    }
+  }
+}
+
+/**
+ * Closest point on segment a-b to p, written to out.x/out.y
+ */
+function closestOnSegment(px, py, ax, ay, bx, by, out) {
+  const abx = bx - ax;
+  const aby = by - ay;
+  const lenSq = abx * abx + aby * aby;
+  let t = lenSq > 0 ? ((px - ax) * abx + (py - ay) * aby) / lenSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  out.x = ax + abx * t;
+  out.y = ay + aby * t;
+}
+
+/**
+ * Solid disc
+ */
+export class CircleCollider extends Collider {
+  static defaults = {
+    ...Collider.defaults,
+    x: 0,
+    y: 0,
+    radius: 0.2
+  };
+
+  computeBounds() {
+    const { x, y, radius } = this.params;
+    this.bounds = { minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius };
+  }
+
+  closestPoint(px, py, out) {
+    out.x = this.params.x;
+    out.y = this.params.y;
+    out.radius = this.params.radius;
+    return true;
+  }
+}
+
+/**
+ * Thick segment from (x, y) to (x2, y2) with rounded ends
+ */
+export class CapsuleCollider extends Collider {
+  static defaults = {
+    ...Collider.defaults,
+    x: -0.3,
+    y: 0,
+    x2: 0.3,
+    y2: 0,
+    radius: 0.05
+  };
+
+  computeBounds() {
+    const { x, y, x2, y2, radius } = this.params;
+    this.bounds = {
+      minX: Math.min(x, x2) - radius,
+      minY: Math.min(y, y2) - radius,
+      maxX: Math.max(x, x2) + radius,
+      maxY: Math.max(y, y2) + radius
+    };
+  }
+
+  closestPoint(px, py, out) {
+    const { x, y, x2, y2, radius } = this.params;
+    closestOnSegment(px, py, x, y, x2, y2, out);
+    out.radius = radius;
+    return true;
+  }
+}
+
+/**
+ * Thick open polyline through points [{ x, y }, ...] - e.g. a drawn stroke
+ */
+export class PolylineCollider extends Collider {
+  static defaults = {
+    ...Collider.defaults,
+    points: [],
+    radius: 0.04
+  };
+
+  computeBounds() {
+    const { points, radius } = this.params;
+    const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const p of points) {
+      b.minX = Math.min(b.minX, p.x - radius);
+      b.minY = Math.min(b.minY, p.y - radius);
+      b.maxX = Math.max(b.maxX, p.x + radius);
+      b.maxY = Math.max(b.maxY, p.y + radius);
+    }
+    this.bounds = b;
+    this.segmentPoint = { x: 0, y: 0 };
+  }
+
+  closestPoint(px, py, out) {
+    const { points, radius } = this.params;
+    if (points.length === 0) return false;
+
+    const seg = this.segmentPoint;
+    let bestSq = Infinity;
+
+    for (let s = 0; s < points.length - 1; s++) {
+      const a = points[s];
+      const b = points[s + 1];
+
+      // Skip segments that are clearly too far away
+      if (px < Math.min(a.x, b.x) - radius || px > Math.max(a.x, b.x) + radius) continue;
+      if (py < Math.min(a.y, b.y) - radius || py > Math.max(a.y, b.y) + radius) continue;
+
+      closestOnSegment(px, py, a.x, a.y, b.x, b.y, seg);
+      const dx = px - seg.x;
+      const dy = py - seg.y;
+      const dSq = dx * dx + dy * dy;
+      if (dSq < bestSq) {
+        bestSq = dSq;
+        out.x = seg.x;
+        out.y = seg.y;
+      }
+    }
+
+    if (points.length === 1) {
+      out.x = points[0].x;
+      out.y = points[0].y;
+      bestSq = 0;
+    }
+
+    out.radius = radius;
+    return bestSq < Infinity;
+  }
+}
+
+export const COLLIDER_TYPES = {
+  circle: CircleCollider,
+  capsule: CapsuleCollider,
+  polyline: PolylineCollider
+};
+
+/**
+ * Create a collider by registered type name
+ */
+export function createCollider(type, params = {}) {
+  const ColliderClass = COLLIDER_TYPES[type];
+  if (!ColliderClass) {
+    throw new Error(`Unknown collider type: ${type}`);
+  }
+  const collider = new ColliderClass(params);
+  collider.type = type;
+  return collider;
+}
@@ -0,0 +1,477 @@
+/**
+ * Constraints - Position-based dynamics for structures made of particles
+ * Distance constraints link pool particles into ropes, nets and jelly blobs.
+ * After each integration step positions are projected back onto the
+ * constraints for a few iterations, and velocities pick up the correction.
+ * Links stretched past their tear ratio break; FIST wells grab nearby
+ * structure particles and carry them around.
+ */
+
+/**
+ * Rope - a chain of particles, first one pinned in place
+ */
+function buildRope(system, physics, params) {
+  const { x = 0, y = 0.8, segments = 30, spacing = 0.05, angle = -Math.PI / 2, stiffness = 0.9, tear = 3, pinned = true } = params;
+  const particles = [];
+
+  for (let s = 0; s <= segments; s++) {
+    particles.push(physics.spawnParticle(
+      x + Math.cos(angle) * spacing * s,
+      y + Math.sin(angle) * spacing * s,
+      0, 0, 0, 0
+    ));
+  }
+  for (let s = 0; s < segments; s++) {
+    system.addConstraint(particles[s], particles[s + 1], spacing, stiffness, tear);
+  }
+  if (pinned) system.pin(physics, particles[0]);
+  return particles;
+}
+
+/**
+ * Net - a cloth grid with structural and shear links, top corners pinned
+ */
+function buildNet(system, physics, params) {
+  const { x = 0, y = 0.8, cols = 16, rows = 12, spacing = 0.08, stiffness = 0.8, tear = 2, pinned = true } = params;
+  const particles = [];
+  const at = (c, r) => particles[r * cols + c];
+  const left = x - (cols - 1) * spacing / 2;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      particles.push(physics.spawnParticle(left + c * spacing, y - r * spacing, 0, 0, 0, 0));
+    }
+  }
+
+  const diagonal = spacing * Math.SQRT2;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (c + 1 < cols) system.addConstraint(at(c, r), at(c + 1, r), spacing, stiffness, tear);
+      if (r + 1 < rows) system.addConstraint(at(c, r), at(c, r + 1), spacing, stiffness, tear);
+      if (c + 1 < cols && r + 1 < rows) {
+        system.addConstraint(at(c, r), at(c + 1, r + 1), diagonal, stiffness * 0.5, tear);
+        system.addConstraint(at(c + 1, r), at(c, r + 1), diagonal, stiffness * 0.5, tear);
+      }
+    }
+  }
+
+  if (pinned) {
+    system.pin(physics, at(0, 0));
+    system.pin(physics, at(cols - 1, 0));
+  }
+  return particles;
+}
+
+/**
+ * Jelly blob - two rings around a centre, braced so it wobbles but keeps its shape
+ */
+function buildJelly(system, physics, params) {
+  const { x = 0, y = 0, radius = 0.35, points = 20, stiffness = 0.5, tear = 2.5 } = params;
+  const inner = radius * 0.55;
+  const center = physics.spawnParticle(x, y, 0, 0, 0, 0);
+  const outerRing = [];
+  const innerRing = [];
+
+  for (let k = 0; k < points; k++) {
+    const a = (k / points) * Math.PI * 2;
+    outerRing.push(physics.spawnParticle(x + Math.cos(a) * radius, y + Math.sin(a) * radius, 0, 0, 0, 0));
+    innerRing.push(physics.spawnParticle(x + Math.cos(a) * inner, y + Math.sin(a) * inner, 0, 0, 0, 0));
+  }
+
+  const link = (a, b, k) => {
+    const pos = physics.positions;
+    const rest = Math.hypot(pos[a * 3] - pos[b * 3], pos[a * 3 + 1] - pos[b * 3 + 1]);
+    system.addConstraint(a, b, rest, k, tear);
+  };
+
+  for (let k = 0; k < points; k++) {
+    const next = (k + 1) % points;
+    link(outerRing[k], outerRing[next], stiffness);
+    link(innerRing[k], innerRing[next], stiffness);
+    link(outerRing[k], innerRing[k], stiffness);
+    link(outerRing[k], innerRing[next], stiffness * 0.5);
+    link(innerRing[k], center, stiffness * 0.5);
+    link(outerRing[k], outerRing[(k + 2) % points], stiffness * 0.3);
+  }
+
+  return [center, ...outerRing, ...innerRing];
+}
+
+export const STRUCTURE_TYPES = {
+  rope: buildRope,
+  net: buildNet,
+  jelly: buildJelly
+};
+
+export class ConstraintSystem {
+  constructor(count) {
+    this.count = count;
+    this.iterations = 8;
+    this.grabRadius = 0.25;
+
+    // Distance constraints (struct of arrays, grown on demand)
+    this.size = 0;
+    this.allocate(256);
+
+    // Per-particle flags
+    this.members = new Uint8Array(count); // Part of any structure
+    this.pinned = new Uint8Array(count);
+    this.held = new Uint8Array(count); // Currently carried by a hand
+    this.anchors = new Map(); // Pinned particle -> { x, y, z }
+    this.prev = new Float32Array(count * 3); // Positions before projection
+
+    this.structures = [];
+    this.structureSerial = 0;
+    this.ownerSerial = 0;
+    this.currentOwner = 0; // Structure index stamped on new constraints
+    this.grabs = []; // Per well: [{ i, dx, dy }] while grabbing, else null
+    this.version = 0; // Bumped when links appear, tear or are removed
+  }
+
+  allocate(capacity) {
+    const grow = (Type, old) => {
+      const arr = new Type(capacity);
+      if (old) arr.set(old.subarray(0, this.size));
+      return arr;
+    };
+    this.capacity = capacity;
+    this.a = grow(Int32Array, this.a);
+    this.b = grow(Int32Array, this.b);
+    this.rest = grow(Float32Array, this.rest);
+    this.stiffness = grow(Float32Array, this.stiffness);
+    this.tear = grow(Float32Array, this.tear);
+    this.owner = grow(Int32Array, this.owner);
+    this.active = grow(Uint8Array, this.active);
+  }
+
+  /**
+   * Link particles a and b at a rest length
+   * @param {number} stiffness - 0..1, fraction of the error removed per step
+   * @param {number} tear - Breaks when stretched past rest * tear (0 = never)
+   */
+  addConstraint(a, b, rest, stiffness = 1, tear = 0) {
+    if (this.size === this.capacity) this.allocate(this.capacity * 2);
+    const c = this.size++;
+    this.a[c] = a;
+    this.b[c] = b;
+    this.rest[c] = rest;
+    this.stiffness[c] = stiffness;
+    this.tear[c] = tear;
+    this.owner[c] = this.currentOwner;
+    this.active[c] = 1;
+    this.members[a] = 1;
+    this.members[b] = 1;
+  }
+
+  pin(physics, i) {
+    const i3 = i * 3;
+    this.pinned[i] = 1;
+    this.anchors.set(i, { x: physics.positions[i3], y: physics.positions[i3 + 1], z: physics.positions[i3 + 2] });
+  }
+
+  /**
+   * Build a preset structure from pool particles
+   * @param {string} type - Key in STRUCTURE_TYPES (rope, net, jelly)
+   * @param {Object} params - Position, size, stiffness and tear, optional id
+   * @returns {string} Structure id
+   */
+  addStructure(physics, type, params = {}) {
+    const build = STRUCTURE_TYPES[type];
+    if (!build) {
+      throw new Error(`Unknown structure type: ${type}`);
+    }
+    const id = params.id ?? `${type}-${++this.structureSerial}`;
+    this.removeStructure(id);
+
+    this.currentOwner = ++this.ownerSerial;
+    const particles = build(this, physics, params);
+    this.structures.push({ id, type, owner: this.currentOwner, particles });
+    this.version++;
+    return id;
+  }
+
+  /**
+   * Drop a structure's links; its particles carry on as loose particles
+   */
+  removeStructure(id) {
+    const structure = this.structures.find(s => s.id === id);
+    if (!structure) return;
+
+    this.structures = this.structures.filter(s => s !== structure);
+    for (let c = 0; c < this.size; c++) {
+      if (this.owner[c] === structure.owner) this.active[c] = 0;
+    }
+    for (const i of structure.particles) {
+      this.members[i] = 0;
+      this.pinned[i] = 0;
+      this.held[i] = 0;
+      this.anchors.delete(i);
+    }
+    this.grabs = [];
+    this.compact();
+  }
+
+  clear() {
+    for (const structure of [...this.structures]) {
+      this.removeStructure(structure.id);
+    }
+  }
+
+  /**
+   * Follow a change in the particle pool size
+   * Structures using particles past the new end are dissolved first.
+   */
+  resize(count) {
+    for (const structure of [...this.structures]) {
+      if (structure.particles.some(i => i >= count)) this.removeStructure(structure.id);
+    }
+
+    const resized = (Type, old, stride = 1) => {
+      const arr = new Type(count * stride);
+      arr.set(old.subarray(0, Math.min(old.length, arr.length)));
+      return arr;
+    };
+    this.members = resized(Uint8Array, this.members);
+    this.pinned = resized(Uint8Array, this.pinned);
+    this.held = resized(Uint8Array, this.held);
+    this.prev = resized(Float32Array, this.prev, 3);
+    this.count = count;
+    this.version++;
+  }
+
+  /**
+   * Drop inactive constraints so the solver only walks live links
+   */
+  compact() {
+    let n = 0;
+    for (let c = 0; c < this.size; c++) {
+      if (!this.active[c]) continue;
+      this.a[n] = this.a[c];
+      this.b[n] = this.b[c];
+      this.rest[n] = this.rest[c];
+      this.stiffness[n] = this.stiffness[c];
+      this.tear[n] = this.tear[c];
+      this.owner[n] = this.owner[c];
+      this.active[n] = 1;
+      n++;
+    }
+    this.size = n;
+    this.version++;
+  }
+
+  /**
+   * Start, carry or release hand grabs for wells flagged with grab
+   */
+  updateGrabs(physics) {
+    const wells = physics.inputs.wells;
+    const pos = physics.positions;
+    this.held.fill(0);
+
+    for (let w = 0; w < Math.max(wells.length, this.grabs.length); w++) {
+      const well = wells[w];
+      if (!well?.grab) {
+        this.grabs[w] = null;
+        continue;
+      }
+
+      // Same world scaling as the hand wells field
+      const wx = well.x * 1.5;
+      const wy = well.y * 1.2;
+
+      if (!this.grabs[w]) {
+        const grabbed = [];
+        for (let i = 0; i < physics.count; i++) {
+          if (!this.members[i] || this.pinned[i]) continue;
+          const dx = pos[i * 3] - wx;
+          const dy = pos[i * 3 + 1] - wy;
+          if (dx * dx + dy * dy < this.grabRadius * this.grabRadius) grabbed.push({ i, dx, dy });
+        }
+        this.grabs[w] = grabbed;
+      }
+
+      for (const { i, dx, dy } of this.grabs[w]) {
+        pos[i * 3] = wx + dx;
+        pos[i * 3 + 1] = wy + dy;
+        this.held[i] = 1;
+      }
+    }
+  }
+
+  /**
+   * Project positions onto the constraints and fold the correction into velocity
+   * @param {number} h - Step length in 1/60 s ticks
+   */
+  solve(physics, h) {
+    if (this.structures.length === 0) return;
+
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const alive = physics.alive;
+    const masses = physics.masses;
+    const prev = this.prev;
+    const count = physics.count;
+
+    for (let i = 0; i < count; i++) {
+      if (!this.members[i]) continue;
+      const i3 = i * 3;
+      prev[i3] = pos[i3];
+      prev[i3 + 1] = pos[i3 + 1];
+      prev[i3 + 2] = pos[i3 + 2];
+    }
+
+    this.updateGrabs(physics);
+    for (const [i, anchor] of this.anchors) {
+      pos[i * 3] = anchor.x;
+      pos[i * 3 + 1] = anchor.y;
+      pos[i * 3 + 2] = anchor.z;
+    }
+
+    let torn = 0;
+    const iterations = this.iterations;
+
+    for (let iter = 0; iter < iterations; iter++) {
+      for (let c = 0; c < this.size; c++) {
+        if (!this.active[c]) continue;
+        const a = this.a[c];
+        const b = this.b[c];
+
+        // A link whose particle died (absorbed, swallowed) goes with it
+        if (!alive[a] || !alive[b]) {
+          this.active[c] = 0;
+          torn++;
+          continue;
+        }
+
+        const wa = this.pinned[a] || this.held[a] ? 0 : 1 / masses[a];
+        const wb = this.pinned[b] || this.held[b] ? 0 : 1 / masses[b];
+        if (wa + wb === 0) continue;
+
+        const a3 = a * 3;
+        const b3 = b * 3;
+        const dx = pos[b3] - pos[a3];
+        const dy = pos[b3 + 1] - pos[a3 + 1];
+        const dz = pos[b3 + 2] - pos[a3 + 2];
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist < 1e-9) continue;
+
+        const rest = this.rest[c];
+        if (this.tear[c] > 0 && dist > rest * this.tear[c]) {
+          this.active[c] = 0;
+          torn++;
+          continue;
+        }
+
+        // Per-iteration stiffness so the total does not depend on iteration count
+        const k = 1 - Math.pow(1 - this.stiffness[c], 1 / iterations);
+        const s = (dist - rest) / dist * k / (wa + wb);
+        pos[a3] += dx * s * wa;
+        pos[a3 + 1] += dy * s * wa;
+        pos[a3 + 2] += dz * s * wa;
+        pos[b3] -= dx * s * wb;
+        pos[b3 + 1] -= dy * s * wb;
+        pos[b3 + 2] -= dz * s * wb;
+      }
+    }
+
+    // Velocity picks up the projection (per tick), pinned particles stay still
+    for (let i = 0; i < count; i++) {
+      if (!this.members[i]) continue;
+      const i3 = i * 3;
+      if (this.pinned[i]) {
+        vel[i3] = 0;
+        vel[i3 + 1] = 0;
+        vel[i3 + 2] = 0;
+        continue;
+      }
+      vel[i3] += (pos[i3] - prev[i3]) / h;
+      vel[i3 + 1] += (pos[i3 + 1] - prev[i3 + 1]) / h;
+      vel[i3 + 2] += (pos[i3 + 2] - prev[i3 + 2]) / h;
+    }
+
+    if (torn > 0) {
+      this.compact();
+      this.pruneStructures();
+    }
+  }
+
+  /**
+   * Dissolve structures whose links have all torn, freeing their particles
+   * (membership, pins and anchors) for spawning, capture and grabs
+   */
+  pruneStructures() {
+    const live = new Set();
+    for (let c = 0; c < this.size; c++) live.add(this.owner[c]);
+    for (const structure of [...this.structures]) {
+      if (!live.has(structure.owner)) this.removeStructure(structure.id);
+    }
+  }
+
+  /**
+   * Capture links, flags and structures (hand grabs are not kept)
+   * @returns {{ state: Object, arrays: Object }} JSON-safe state and typed arrays
+   */
+  serialize() {
+    const size = this.size;
+    return {
+      state: {
+        iterations: this.iterations,
+        grabRadius: this.grabRadius,
+        structures: this.structures.map(s => ({ ...s, particles: [...s.particles] })),
+        structureSerial: this.structureSerial,
+        ownerSerial: this.ownerSerial,
+        anchors: [...this.anchors].map(([i, p]) => [i, p.x, p.y, p.z])
+      },
+      arrays: {
+        a: this.a.slice(0, size),
+        b: this.b.slice(0, size),
+        rest: this.rest.slice(0, size),
+        stiffness: this.stiffness.slice(0, size),
+        tear: this.tear.slice(0, size),
+        owner: this.owner.slice(0, size),
+        active: this.active.slice(0, size),
+        members: this.members.slice(),
+        pinned: this.pinned.slice()
+      }
+    };
+  }
+
+  /**
+   * Replace everything with the output of serialize()
+   */
+  restore({ state, arrays }) {
+    const size = arrays.a.length;
+    if (size > this.capacity) this.allocate(Math.max(size, this.capacity * 2));
+    this.size = size;
+    this.a.set(arrays.a);
+    this.b.set(arrays.b);
+    this.rest.set(arrays.rest);
+    this.stiffness.set(arrays.stiffness);
+    this.tear.set(arrays.tear);
+    this.owner.set(arrays.owner);
+    this.active.set(arrays.active);
+    this.members.set(arrays.members);
+    this.pinned.set(arrays.pinned);
+    this.held.fill(0);
+
+    this.iterations = state.iterations;
+    this.grabRadius = state.grabRadius;
+    this.structures = state.structures.map(s => ({ ...s, particles: [...s.particles] }));
+    this.structureSerial = state.structureSerial;
+    this.ownerSerial = state.ownerSerial;
+    this.anchors = new Map(state.anchors.map(([i, x, y, z]) => [i, { x, y, z }]));
+    this.grabs = [];
+    this.version++;
+  }
+
+  /**
+   * Active links as flat [a0, b0, a1, b1, ...] particle index pairs
+   */
+  getLinks() {
+    const links = new Int32Array(this.size * 2);
+    for (let c = 0; c < this.size; c++) {
+      links[c * 2] = this.a[c];
+      links[c * 2 + 1] = this.b[c];
+    }
+    return links;
+  }
+}
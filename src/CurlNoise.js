@@ -0,0 +1,137 @@
+/**
+ * CurlNoise - Divergence-free flow from seeded gradient noise
+ * Curl of a noise potential gives swirling turbulence with no sinks or sources,
+ * so particles circulate instead of clumping
+ */
+
+import { createRandom } from './Random.js';
+
+// Gradient directions (cube edge midpoints, as in improved Perlin noise)
+const GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+const EPSILON = 0.0001; // Finite difference step in noise space
+
+// Offsets that decorrelate the three potential components of curl3D
+const OFFSETS = [
+  [0, 0, 0],
+  [31.416, -47.853, 12.679],
+  [-83.127, 19.733, 57.291]
+];
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export class CurlNoise {
+  /**
+   * @param {number} seed - Same seed always gives the same field
+   */
+  constructor(seed) {
+    const random = createRandom(seed);
+
+    // Seeded Fisher-Yates shuffle of the permutation table
+    const perm = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) perm[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = perm[i];
+      perm[i] = perm[j];
+      perm[j] = tmp;
+    }
+
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) this.perm[i] = perm[i & 255];
+  }
+
+  /**
+   * 3D gradient noise in roughly [-1, 1]
+   */
+  noise(x, y, z) {
+    const p = this.perm;
+
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const xf = x - xi;
+    const yf = y - yi;
+    const zf = z - zi;
+    const X = xi & 255;
+    const Y = yi & 255;
+    const Z = zi & 255;
+
+    const grad = (hash, dx, dy, dz) => {
+      const g = GRADIENTS[hash % 12];
+      return g[0] * dx + g[1] * dy + g[2] * dz;
+    };
+
+    const a = p[X] + Y;
+    const aa = p[a] + Z;
+    const ab = p[a + 1] + Z;
+    const b = p[X + 1] + Y;
+    const ba = p[b] + Z;
+    const bb = p[b + 1] + Z;
+
+    const u = fade(xf);
+    const v = fade(yf);
+    const w = fade(zf);
+
+    return lerp(
+      lerp(
+        lerp(grad(p[aa], xf, yf, zf), grad(p[ba], xf - 1, yf, zf), u),
+        lerp(grad(p[ab], xf, yf - 1, zf), grad(p[bb], xf - 1, yf - 1, zf), u),
+        v
+      ),
+      lerp(
+        lerp(grad(p[aa + 1], xf, yf, zf - 1), grad(p[ba + 1], xf - 1, yf, zf - 1), u),
+        lerp(grad(p[ab + 1], xf, yf - 1, zf - 1), grad(p[bb + 1], xf - 1, yf - 1, zf - 1), u),
+        v
+      ),
+      w
+    );
+  }
+
+  /**
+   * Planar curl: v = (dψ/dy, -dψ/dx) of a scalar potential drifting through time
+   * @param {number} x - Noise-space x
+   * @param {number} y - Noise-space y
+   * @param {number} t - Noise-space time
+   * @param {Array} out - Receives [vx, vy, 0]
+   */
+  curl2D(x, y, t, out) {
+    const e = EPSILON;
+    const dPdy = (this.noise(x, y + e, t) - this.noise(x, y - e, t)) / (2 * e);
+    const dPdx = (this.noise(x + e, y, t) - this.noise(x - e, y, t)) / (2 * e);
+    out[0] = dPdy;
+    out[1] = -dPdx;
+    out[2] = 0;
+    return out;
+  }
+
+  /**
+   * Volumetric curl of a vector potential ψ = (ψ1, ψ2, ψ3), each an offset
+   * copy of the noise drifting along z with time
+   * @param {Array} out - Receives [vx, vy, vz]
+   */
+  curl3D(x, y, z, t, out) {
+    const e = EPSILON;
+    const d = (k, dx, dy, dz) => {
+      const o = OFFSETS[k];
+      const px = x + o[0];
+      const py = y + o[1];
+      const pz = z + o[2] + t;
+      return (this.noise(px + dx, py + dy, pz + dz) - this.noise(px - dx, py - dy, pz - dz)) / (2 * e);
+    };
+    out[0] = d(2, 0, e, 0) - d(1, 0, 0, e);
+    out[1] = d(0, 0, 0, e) - d(2, e, 0, 0);
+    out[2] = d(1, e, 0, 0) - d(0, 0, e, 0);
+    return out;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Diagnostics - Per-frame statistics over the particle state
+ * Computed once per physics update so game logic, the HUD and exports
+ * all read the same numbers instead of rescanning positions.
+ *
+ * Units follow the simulation: velocities are per 1/60 s tick, masses come
+ * from the species ranges. Histograms are plain arrays (JSON and
+ * postMessage friendly).
+ */
+
+// Bins chosen so the challenge radii (0.5 centre, 1.5 edge) fall on bin edges
+// and the grid is centred on the origin (even cols/rows split into quadrants)
+export const DIAGNOSTIC_DEFAULTS = {
+  radialBins: 20,
+  radialMax: 2.5, // Last bin also collects everything further out
+  gridCols: 12,
+  gridRows: 8,
+  gridWidth: 3.0, // Visible world area, edge cells also collect the outside
+  gridHeight: 2.4
+};
+
+/**
+ * Empty histograms for one group of particles
+ */
+function createGroup(options) {
+  return {
+    count: 0,
+    radial: new Array(options.radialBins).fill(0),
+    grid: new Array(options.gridCols * options.gridRows).fill(0)
+  };
+}
+
+/**
+ * Gather statistics for the current state
+ * @param {Physics} physics
+ * @param {Object} options - Overrides for DIAGNOSTIC_DEFAULTS
+ * @returns {Object} {
+ *   count, kineticEnergy, momentum: {x,y,z}, centroid: {x,y,z},
+ *   radial, grid, gridCols, gridRows, radialBinSize,
+ *   species: [{ count, radial, grid }], stableOrbits,
+ *   wells: [{ x, y, z, angularMomentum, bound, boundFraction, orbits: { stable, period, eccentricity } }]
+ * }
+ */
+export function computeDiagnostics(physics, options = {}) {
+  const opts = { ...DIAGNOSTIC_DEFAULTS, ...options };
+  const { count, positions: pos, velocities: vel, masses, charges, alive, speciesIds } = physics;
+
+  // Wells in world space, as the wells field resolved them this frame
+  const wellsField = physics.getField('wells');
+  const sourceWells = wellsField?.enabled ? wellsField.wells : [];
+  const G = physics.G * (physics.chaosMode ? physics.chaosFactor * 2 : 1);
+  const defaultDirection = physics.attractMode ? 1 : -1;
+  const wells = sourceWells.map(w => ({
+    x: w.x,
+    y: w.y,
+    z: w.z,
+    strength: w.strength,
+    direction: w.polarity ?? defaultDirection,
+    radius: w.radius ?? physics.fieldRadius,
+    angularMomentum: { x: 0, y: 0, z: 0 },
+    bound: 0
+  }));
+
+  const total = createGroup(opts);
+  const species = physics.species.map(() => createGroup(opts));
+  const binSize = opts.radialMax / opts.radialBins;
+  const cellW = opts.gridWidth / opts.gridCols;
+  const cellH = opts.gridHeight / opts.gridRows;
+
+  let kineticEnergy = 0;
+  let px = 0, py = 0, pz = 0;
+  let cx = 0, cy = 0, cz = 0;
+  let massSum = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (!alive[i]) continue;
+    const i3 = i * 3;
+    const x = pos[i3], y = pos[i3 + 1], z = pos[i3 + 2];
+    const vx = vel[i3], vy = vel[i3 + 1], vz = vel[i3 + 2];
+    const m = masses[i];
+    const v2 = vx * vx + vy * vy + vz * vz;
+
+    kineticEnergy += 0.5 * m * v2;
+    px += m * vx;
+    py += m * vy;
+    pz += m * vz;
+    cx += m * x;
+    cy += m * y;
+    cz += m * z;
+    massSum += m;
+
+    // Density (xy plane, like the challenges)
+    const bin = Math.min(opts.radialBins - 1, Math.floor(Math.sqrt(x * x + y * y) / binSize));
+    const col = Math.min(opts.gridCols - 1, Math.max(0, Math.floor((x + opts.gridWidth / 2) / cellW)));
+    const row = Math.min(opts.gridRows - 1, Math.max(0, Math.floor((y + opts.gridHeight / 2) / cellH)));
+    const cell = row * opts.gridCols + col;
+    const group = species[speciesIds[i]];
+    total.count++;
+    total.radial[bin]++;
+    total.grid[cell]++;
+    if (group) {
+      group.count++;
+      group.radial[bin]++;
+      group.grid[cell]++;
+    }
+
+    // Bound to the well where its specific energy is lowest (if negative)
+    let boundWell = null;
+    let lowest = 0;
+    for (const well of wells) {
+      const dx = x - well.x, dy = y - well.y, dz = z - well.z;
+      const L = well.angularMomentum;
+      L.x += m * (dy * vz - dz * vy);
+      L.y += m * (dz * vx - dx * vz);
+      L.z += m * (dx * vy - dy * vx);
+
+      const r = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      const pull = well.direction * charges[i];
+      if (pull <= 0 || r >= well.radius) continue;
+      // Same softened inverse-square law as the wells field: potential -k / r
+      const k = (G * well.strength * pull) / m;
+      const energy = 0.5 * v2 - k / Math.max(r, physics.minDistance);
+      if (energy < lowest) {
+        lowest = energy;
+        boundWell = well;
+      }
+    }
+
+    if (boundWell) boundWell.bound++;
+  }
+
+  const invMass = massSum > 0 ? 1 / massSum : 0;
+  const live = Math.max(total.count, 1);
+  const orbits = physics.orbits ? physics.orbits.summarize(physics, wells.length) : [];
+
+  return {
+    count: total.count,
+    kineticEnergy,
+    momentum: { x: px, y: py, z: pz },
+    centroid: { x: cx * invMass, y: cy * invMass, z: cz * invMass },
+    radial: total.radial,
+    radialBinSize: binSize,
+    grid: total.grid,
+    gridCols: opts.gridCols,
+    gridRows: opts.gridRows,
+    species,
+    stableOrbits: orbits.reduce((sum, o) => sum + o.stable, 0),
+    wells: wells.map((w, k) => ({
+      x: w.x,
+      y: w.y,
+      z: w.z,
+      angularMomentum: w.angularMomentum,
+      bound: w.bound,
+      boundFraction: w.bound / live,
+      orbits: orbits[k] ?? { stable: 0, period: 0, eccentricity: 0 }
+    }))
+  };
+}
+
+/**
+ * Particles in radial bins wholly inside (or outside) a radius
+ * @param {Object} diagnostics - From computeDiagnostics
+ * @param {Array} radial - A radial histogram from it (total or per species)
+ */
+export function countWithin(diagnostics, radial, radius) {
+  const bins = Math.round(radius / diagnostics.radialBinSize);
+  let n = 0;
+  for (let b = 0; b < bins; b++) n += radial[b];
+  return n;
+}
+
+/**
+ * Grid counts summed into quadrants: [+x+y, -x+y, -x-y, +x-y]
+ * @param {Array} grid - A grid histogram (total or per species)
+ */
+export function quadrantCounts(diagnostics, grid) {
+  const { gridCols: cols, gridRows: rows } = diagnostics;
+  const quadrants = [0, 0, 0, 0];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const right = col >= cols / 2;
+      const top = row >= rows / 2;
+      const q = top ? (right ? 0 : 1) : (right ? 3 : 2);
+      quadrants[q] += grid[row * cols + col];
+    }
+  }
+  return quadrants;
+}
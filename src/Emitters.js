@@ -0,0 +1,230 @@
+/**
+ * Emitters - Particle sources and sinks for Physics
+ * Emitters spawn particles from the fixed-size pool at a rate with a velocity
+ * cone and lifetime; sinks swallow particles and can re-emit them as jets.
+ * Created by type name so they can be added from the main thread.
+ */
+
+/**
+ * Base emitter - subclasses override spawnPoint()
+ */
+export class Emitter {
+  static defaults = {
+    x: 0,
+    y: 0,
+    rate: 60, // Particles per second
+    speed: 0.02, // Units per 1/60 s tick
+    speedJitter: 0.3, // Fraction of speed randomised
+    direction: Math.PI / 2, // Radians, 0 = +x
+    spread: 0.3, // Cone half-angle in radians
+    lifetime: 3, // Seconds, 0 = lives forever
+    lifetimeJitter: 0.3, // Fraction of lifetime randomised
+    species: null // Species name, null = mixed by share
+  };
+
+  constructor(params = {}) {
+    this.id = params.id ?? null;
+    this.enabled = params.enabled ?? true;
+    this.params = { ...this.constructor.defaults };
+    this.setParams(params);
+    this.carry = 0; // Fractional particles owed from previous steps
+  }
+
+  setParams(params) {
+    for (const key of Object.keys(params)) {
+      if (key === 'id') continue;
+      if (key === 'enabled') this.enabled = params.enabled;
+      else this.params[key] = params[key];
+    }
+  }
+
+  /**
+   * Internal state that must survive a snapshot
+   */
+  getState() {
+    return { carry: this.carry };
+  }
+
+  setState(state) {
+    this.carry = state.carry;
+  }
+
+  /**
+   * Spawn however many particles are due after a step
+   */
+  update(physics, seconds) {
+    this.carry += this.params.rate * seconds;
+    const point = { x: 0, y: 0, angle: 0 };
+
+    while (this.carry >= 1) {
+      this.carry -= 1;
+      this.spawnPoint(physics, point);
+      this.spawn(physics, point.x, point.y, point.angle);
+    }
+  }
+
+  /**
+   * Pick a spawn position and base direction
+   * @param {Object} out - Receives { x, y, angle }
+   */
+  spawnPoint(physics, out) {
+    out.x = this.params.x;
+    out.y = this.params.y;
+    out.angle = this.params.direction;
+  }
+
+  spawn(physics, x, y, angle) {
+    const { speed, speedJitter, spread, lifetime, lifetimeJitter } = this.params;
+    const random = physics.random;
+
+    const a = angle + (random() * 2 - 1) * spread;
+    const s = speed * (1 + (random() * 2 - 1) * speedJitter);
+    const life = lifetime * (1 + (random() * 2 - 1) * lifetimeJitter);
+    const species = this.params.species === null ? -1 : physics.speciesIndex(this.params.species);
+
+    physics.spawnParticle(x, y, 0, Math.cos(a) * s, Math.sin(a) * s, 0, life, species);
+  }
+}
+
+/**
+ * Point emitter - a nozzle spraying a cone
+ */
+export class PointEmitter extends Emitter {}
+
+/**
+ * Ring emitter - spawns on a circle; direction is relative to the outward normal
+ */
+export class RingEmitter extends Emitter {
+  static defaults = {
+    ...Emitter.defaults,
+    radius: 0.6,
+    direction: 0 // 0 = outward, PI = inward, PI/2 = tangential
+  };
+
+  spawnPoint(physics, out) {
+    const theta = physics.random() * Math.PI * 2;
+    out.x = this.params.x + Math.cos(theta) * this.params.radius;
+    out.y = this.params.y + Math.sin(theta) * this.params.radius;
+    out.angle = theta + this.params.direction;
+  }
+}
+
+/**
+ * Line emitter - spawns along a segment from (x, y) to (x2, y2)
+ */
+export class LineEmitter extends Emitter {
+  static defaults = {
+    ...Emitter.defaults,
+    x: -1,
+    y: -1,
+    x2: 1,
+    y2: -1
+  };
+
+  spawnPoint(physics, out) {
+    const t = physics.random();
+    out.x = this.params.x + (this.params.x2 - this.params.x) * t;
+    out.y = this.params.y + (this.params.y2 - this.params.y) * t;
+    out.angle = this.params.direction;
+  }
+}
+
+/**
+ * Sink - pulls nearby particles in and swallows them inside its radius.
+ * With reemit on, swallowed mass comes back out as a two-sided jet ("black hole").
+ */
+export class Sink extends Emitter {
+  static defaults = {
+    x: 0,
+    y: 0,
+    radius: 0.12, // Swallow radius
+    range: 1.5, // Pull range
+    pull: 0.0004,
+    reemit: false,
+    reemitDelay: 1.5, // Seconds a particle stays swallowed
+    speed: 0.05, // Jet speed
+    speedJitter: 0.2,
+    direction: Math.PI / 2, // Jet axis
+    spread: 0.15,
+    lifetime: 0,
+    lifetimeJitter: 0,
+    species: null
+  };
+
+  constructor(params = {}) {
+    super(params);
+    this.swallowed = 0; // Total particles consumed
+    this.queue = []; // Re-emit times (simulated seconds)
+    this.jetSide = 0;
+  }
+
+  getState() {
+    return { carry: this.carry, swallowed: this.swallowed, queue: [...this.queue], jetSide: this.jetSide };
+  }
+
+  setState(state) {
+    this.carry = state.carry;
+    this.swallowed = state.swallowed;
+    this.queue = [...state.queue];
+    this.jetSide = state.jetSide;
+  }
+
+  update(physics, seconds) {
+    const { x, y, radius, range, pull, reemit, reemitDelay } = this.params;
+    const pos = physics.positions;
+    const vel = physics.velocities;
+    const h = seconds * 60;
+    const radiusSq = radius * radius;
+    const rangeSq = range * range;
+
+    for (let i = 0; i < physics.count; i++) {
+      if (!physics.alive[i]) continue;
+      const i3 = i * 3;
+      const dx = x - pos[i3];
+      const dy = y - pos[i3 + 1];
+      const distSq = dx * dx + dy * dy;
+
+      if (distSq < radiusSq) {
+        physics.deactivateParticle(i);
+        this.swallowed++;
+        if (reemit && this.queue.length < physics.count) {
+          this.queue.push(physics.time + reemitDelay);
+        }
+      } else if (distSq < rangeSq) {
+        const dist = Math.sqrt(distSq);
+        const force = pull / (distSq + 0.01) * h;
+        vel[i3] += dx / dist * force;
+        vel[i3 + 1] += dy / dist * force;
+      }
+    }
+
+    // Jets: alternate both ends of the axis, starting just outside the swallow radius
+    while (this.queue.length > 0 && this.queue[0] <= physics.time) {
+      this.queue.shift();
+      this.jetSide = 1 - this.jetSide;
+      const angle = this.params.direction + this.jetSide * Math.PI;
+      const offset = radius * 1.5;
+      this.spawn(physics, x + Math.cos(angle) * offset, y + Math.sin(angle) * offset, angle);
+    }
+  }
+}
+
+export const EMITTER_TYPES = {
+  point: PointEmitter,
+  ring: RingEmitter,
+  line: LineEmitter,
+  sink: Sink
+};
+
+/**
+ * Create an emitter or sink by registered type name
+ */
+export function createEmitter(type, params = {}) {
+  const EmitterClass = EMITTER_TYPES[type];
+  if (!EmitterClass) {
+    throw new Error(`Unknown emitter type: ${type}`);
+  }
+  const emitter = new EmitterClass(params);
+  emitter.type = type;
+  return emitter;
+}
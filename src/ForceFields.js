@@ -0,0 +1,544 @@
+/**
+ * ForceFields - Pluggable forces for Physics
+ * Each field accumulates accelerations into a shared buffer for a particle range.
+ * Fields are created by type name so they can be added from the main thread.
+ */
+
+import { CurlNoise } from './CurlNoise.js';
+import { deriveSeed } from './Random.js';
+import { BarnesHutTree } from './BarnesHut.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+/**
+ * Base force field
+ * Subclasses override prepare() (once per frame) and apply() (per force evaluation)
+ */
+export class ForceField {
+  static defaults = {};
+
+  constructor(params = {}) {
+    this.id = params.id ?? null;
+    this.enabled = params.enabled ?? true;
+    this.params = { ...this.constructor.defaults };
+    this.setParams(params);
+  }
+
+  setParams(params) {
+    for (const key of Object.keys(params)) {
+      if (key === 'id') continue;
+      if (key === 'enabled') this.enabled = params.enabled;
+      else this.params[key] = params[key];
+    }
+  }
+
+  /**
+   * Read per-frame inputs from physics.inputs
+   */
+  prepare(physics) {}
+
+  /**
+   * Internal state that must survive a snapshot (null = none)
+   */
+  getState() {
+    return null;
+  }
+
+  setState(state) {}
+
+  /**
+   * Add accelerations for particles [start, end) into out
+   * @param {Physics} physics - Owning simulation
+   * @param {Float32Array} pos - Positions to evaluate at
+   * @param {Float32Array} vel - Velocities to evaluate at
+   * @param {Float32Array} out - Accumulated accelerations
+   */
+  apply(physics, pos, vel, out, start, end) {}
+}
+
+/**
+ * Hand gravity wells, including the two-hand merge and slingshot
+ * Each well has its own polarity (1 attract, -1 repel) and radius, falling back
+ * to physics.attractMode and physics.fieldRadius. Each particle's pull is scaled
+ * by charge / mass, so negative charges respond the opposite way.
+ */
+export class HandWellsField extends ForceField {
+  constructor(params) {
+    super(params);
+    this.wells = [];
+    this.handWells = []; // One per hand, before merging
+    this.merged = null; // The merged well while both hands are together
+  }
+
+  prepare(physics) {
+    const { wells: gravityWells, handVelocities } = physics.inputs;
+
+    // Precompute well positions (convert from normalized to world space)
+    const wells = gravityWells.map((w, idx) => ({
+      x: w.x * 1.5, // Scale to match scene
+      y: w.y * 1.2,
+      z: w.z * (physics.dimensions === 3 ? physics.depthExtent : 0.5),
+      strength: w.strength,
+      polarity: w.polarity ?? null,
+      radius: w.radius ?? null,
+      vx: handVelocities[idx]?.vx || 0,
+      vy: handVelocities[idx]?.vy || 0
+    }));
+
+    // Calculate merged gravity when hands are close (opposite poles never merge)
+    let mergedWell = null;
+    if (wells.length === 2 && wells[0].polarity === wells[1].polarity) {
+      const dx = wells[0].x - wells[1].x;
+      const dy = wells[0].y - wells[1].y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < 0.5) {
+        // Merge into single stronger well
+        const mergeFactor = 1 - (dist / 0.5);
+        mergedWell = {
+          x: (wells[0].x + wells[1].x) / 2,
+          y: (wells[0].y + wells[1].y) / 2,
+          z: (wells[0].z + wells[1].z) / 2,
+          strength: (wells[0].strength + wells[1].strength) * (1 + mergeFactor * 0.5),
+          polarity: wells[0].polarity,
+          radius: wells[0].radius === null || wells[1].radius === null
+            ? null
+            : Math.max(wells[0].radius, wells[1].radius),
+          vx: (wells[0].vx + wells[1].vx) / 2,
+          vy: (wells[0].vy + wells[1].vy) / 2
+        };
+      }
+    }
+
+    // A black hole pulls harder, and more so the more it has swallowed
+    const blackHole = physics.blackHole;
+    if (mergedWell && blackHole?.params.enabled) {
+      mergedWell.strength *= blackHole.strengthScale();
+    }
+
+    this.handWells = wells;
+    this.merged = mergedWell;
+    this.wells = mergedWell ? [mergedWell] : wells;
+  }
+
+  apply(physics, pos, vel, out, start, end) {
+    const G = physics.G * (physics.chaosMode ? physics.chaosFactor * 2 : 1);
+    const minDist = physics.minDistance;
+    const defaultDirection = physics.attractMode ? 1 : -1;
+    const charges = physics.charges;
+    const masses = physics.masses;
+
+    for (const well of this.wells) {
+      const handSpeed = Math.sqrt(well.vx * well.vx + well.vy * well.vy);
+      const direction = well.polarity ?? defaultDirection;
+      const fieldR = well.radius ?? physics.fieldRadius;
+
+      for (let i = start; i < end; i++) {
+        const i3 = i * 3;
+        const dx = well.x - pos[i3];
+        const dy = well.y - pos[i3 + 1];
+        const dz = well.z - pos[i3 + 2];
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (dist < fieldR) {
+          // Softened inverse-square gravity
+          const softDist = Math.max(dist, minDist);
+          const force = (G * well.strength) / (softDist * softDist) * charges[i] / masses[i];
+
+          // Normalize and apply force (negative for repulsion)
+          const invDist = 1 / dist;
+          out[i3] += dx * invDist * force * direction;
+          out[i3 + 1] += dy * invDist * force * direction;
+          out[i3 + 2] += dz * invDist * force * direction;
+
+          // Slingshot effect: rapid hand movement adds velocity
+          if (handSpeed > 0.01 && dist < 0.5) {
+            const slingshotForce = handSpeed * 0.5 * (1 - dist / 0.5);
+            out[i3] += well.vx * slingshotForce;
+            out[i3 + 1] += well.vy * slingshotForce;
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Attraction toward drawn path points (art mode)
+ */
+export class PathField extends ForceField {
+  static defaults = {
+    fadeTime: 8000, // ms
+    strength: 0.0005,
+    range: 0.6
+  };
+
+  constructor(params) {
+    super(params);
+    this.points = [];
+  }
+
+  prepare(physics) {
+    const { pathPoints, now } = physics.inputs;
+    const { fadeTime, strength } = this.params;
+
+    // Path points with their fade already applied
+    this.points = [];
+    for (const point of pathPoints) {
+      const age = (now - point.time) / fadeTime;
+      if (age < 1) {
+        this.points.push({ x: point.x, y: point.y, strength: (1 - age) * strength });
+      }
+    }
+  }
+
+  apply(physics, pos, vel, out, start, end) {
+    const range = this.params.range;
+
+    for (const point of this.points) {
+      for (let i = start; i < end; i++) {
+        const i3 = i * 3;
+        const dx = point.x - pos[i3];
+        const dy = point.y - pos[i3 + 1];
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist < range && dist > 0.01) {
+          const force = point.strength / (dist + 0.03);
+          out[i3] += (dx / dist) * force;
+          out[i3 + 1] += (dy / dist) * force;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Curl-noise flow - time-evolving, divergence-free turbulence
+ * Used for chaos mode and for gentle ambient drift when no hands are present
+ */
+export class CurlNoiseField extends ForceField {
+  static defaults = {
+    scale: 1.2, // Noise frequency (higher = smaller eddies)
+    speed: 0.15, // How fast the flow pattern evolves
+    strength: 0.00001,
+    idleOnly: false, // Only act while no wells are active
+    fadeTime: 1.0 // Seconds to fade in/out when idleOnly toggles
+  };
+
+  constructor(params) {
+    super(params);
+    this.noise = null;
+    this.noiseSeed = null;
+    this.blend = this.params.idleOnly ? 0 : 1;
+    this.flow = [0, 0, 0];
+  }
+
+  prepare(physics) {
+    // Noise is derived from the simulation seed so runs are reproducible
+    if (this.noiseSeed !== physics.seed) {
+      this.noiseSeed = physics.seed;
+      this.noise = new CurlNoise(deriveSeed(physics.seed, 'curl'));
+    }
+
+    this.t = physics.time * this.params.speed;
+
+    const target = this.params.idleOnly && physics.inputs.wells.length > 0 ? 0 : 1;
+    const rate = Math.min(1, physics.inputs.dt / this.params.fadeTime);
+    this.blend += (target - this.blend) * rate;
+  }
+
+  getState() {
+    return { blend: this.blend };
+  }
+
+  setState(state) {
+    this.blend = state.blend;
+  }
+
+  apply(physics, pos, vel, out, start, end) {
+    const gain = this.params.strength * this.blend;
+    if (gain < 1e-9) return;
+
+    const scale = this.params.scale;
+    const flow = this.flow;
+    const volumetric = physics.dimensions === 3;
+
+    for (let i = start; i < end; i++) {
+      const i3 = i * 3;
+      if (volumetric) {
+        this.noise.curl3D(pos[i3] * scale, pos[i3 + 1] * scale, pos[i3 + 2] * scale, this.t, flow);
+        out[i3 + 2] += flow[2] * gain;
+      } else {
+        this.noise.curl2D(pos[i3] * scale, pos[i3 + 1] * scale, this.t, flow);
+      }
+      out[i3] += flow[0] * gain;
+      out[i3 + 1] += flow[1] * gain;
+    }
+  }
+}
+
+/**
+ * Uniform wind - same acceleration everywhere
+ */
+export class WindField extends ForceField {
+  static defaults = {
+    x: 0.00005,
+    y: 0,
+    z: 0
+  };
+
+  apply(physics, pos, vel, out, start, end) {
+    const { x, y, z } = this.params;
+    for (let i = start; i < end; i++) {
+      const i3 = i * 3;
+      out[i3] += x;
+      out[i3 + 1] += y;
+      out[i3 + 2] += z;
+    }
+  }
+}
+
+/**
+ * Vortex - swirl around a point, fading out at the radius
+ */
+export class VortexField extends ForceField {
+  static defaults = {
+    x: 0,
+    y: 0,
+    strength: 0.0004, // Positive = counter-clockwise
+    radius: 1.2,
+    pull: 0.00005 // Slight inward pull keeps the swirl together
+  };
+
+  apply(physics, pos, vel, out, start, end) {
+    const { x, y, strength, radius, pull } = this.params;
+
+    for (let i = start; i < end; i++) {
+      const i3 = i * 3;
+      const dx = pos[i3] - x;
+      const dy = pos[i3 + 1] - y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < radius && dist > 0.01) {
+        const falloff = 1 - dist / radius;
+        const invDist = 1 / dist;
+        out[i3] += (-dy * strength - dx * pull) * invDist * falloff;
+        out[i3 + 1] += (dx * strength - dy * pull) * invDist * falloff;
+      }
+    }
+  }
+}
+
+/**
+ * Radial spring - pulls particles toward a ring of rest radius
+ */
+export class RadialSpringField extends ForceField {
+  static defaults = {
+    x: 0,
+    y: 0,
+    stiffness: 0.0005,
+    restLength: 0.8,
+    radius: 2.5
+  };
+
+  apply(physics, pos, vel, out, start, end) {
+    const { x, y, stiffness, restLength, radius } = this.params;
+
+    for (let i = start; i < end; i++) {
+      const i3 = i * 3;
+      const dx = pos[i3] - x;
+      const dy = pos[i3 + 1] - y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < radius && dist > 0.001) {
+        const force = -stiffness * (dist - restLength) / dist;
+        out[i3] += dx * force;
+        out[i3 + 1] += dy * force;
+      }
+    }
+  }
+}
+
+/**
+ * Drag zone - extra velocity damping inside a circle
+ */
+export class DragZoneField extends ForceField {
+  static defaults = {
+    x: 0,
+    y: 0,
+    radius: 0.6,
+    coefficient: 0.05 // Fraction of velocity removed per tick
+  };
+
+  apply(physics, pos, vel, out, start, end) {
+    const { x, y, radius, coefficient } = this.params;
+    const radiusSq = radius * radius;
+
+    for (let i = start; i < end; i++) {
+      const i3 = i * 3;
+      const dx = pos[i3] - x;
+      const dy = pos[i3 + 1] - y;
+
+      if (dx * dx + dy * dy < radiusSq) {
+        out[i3] -= vel[i3] * coefficient;
+        out[i3 + 1] -= vel[i3 + 1] * coefficient;
+        out[i3 + 2] -= vel[i3 + 2] * coefficient;
+      }
+    }
+  }
+}
+
+/**
+ * Self-gravity - particles attract each other (N-body via Barnes-Hut)
+ * Strength is the pull of the whole pool, so the look holds at any particle count.
+ * The tree is built once per physics step and reused by the integrator's
+ * intermediate evaluations (RK4 would otherwise rebuild it four times).
+ */
+export class SelfGravityField extends ForceField {
+  static defaults = {
+    strength: 0.000004,
+    theta: 0.8, // Opening angle: 0 = exact, higher = faster and coarser
+    softening: 0.05 // Length scale below which pull stops growing
+  };
+
+  constructor(params) {
+    super(params);
+    this.tree = new BarnesHutTree();
+    this.builtAt = null; // physics.time of the last build
+  }
+
+  apply(physics, pos, vel, out, start, end) {
+    const { strength, theta, softening } = this.params;
+    const G = strength / physics.count;
+
+    if (this.builtAt !== physics.time) {
+      this.tree.build(pos, physics.masses, physics.alive, physics.count);
+      this.builtAt = physics.time;
+    }
+    for (let i = start; i < end; i++) {
+      if (physics.alive[i]) this.tree.accumulate(i, pos, G, theta, softening, out);
+    }
+  }
+}
+
+/**
+ * Boids - flocking from separation, alignment and cohesion with nearby particles
+ * Neighbours come from a uniform grid built once per physics step. A cruise
+ * term keeps the flock moving against drag; hand wells still act on top.
+ */
+export class BoidsField extends ForceField {
+  static defaults = {
+    radius: 0.25, // Neighbour radius
+    separationRadius: 0.06, // Closer than this pushes apart
+    separation: 0.00003,
+    alignment: 0.04, // Fraction of the velocity difference matched per tick
+    cohesion: 0.0006,
+    cruiseSpeed: 0.012, // Units per 1/60 s tick
+    cruise: 0.03, // How firmly speed is pulled toward cruiseSpeed
+    maxNeighbors: 24 // Nearest-in-grid-order cap keeps dense clumps cheap
+  };
+
+  constructor(params) {
+    super(params);
+    this.grid = new SpatialGrid(this.params.radius);
+    this.candidates = new Int32Array(0);
+    this.builtAt = null; // physics.time of the last grid build
+  }
+
+  apply(physics, pos, vel, out, start, end) {
+    const { radius, separationRadius, separation, alignment, cohesion, cruiseSpeed, cruise, maxNeighbors } = this.params;
+    const alive = physics.alive;
+
+    if (this.builtAt !== physics.time) {
+      this.grid.cellSize = radius;
+      this.grid.build(pos, alive, physics.count);
+      this.builtAt = physics.time;
+    }
+    if (this.candidates.length < physics.count) {
+      this.candidates = new Int32Array(physics.count);
+    }
+
+    const radiusSq = radius * radius;
+    const sepSq = separationRadius * separationRadius;
+    const candidates = this.candidates;
+
+    for (let i = start; i < end; i++) {
+      if (!alive[i]) continue;
+      const i3 = i * 3;
+      const px = pos[i3];
+      const py = pos[i3 + 1];
+      const pz = pos[i3 + 2];
+      const n = this.grid.query(px, py, radius, candidates);
+
+      let neighbors = 0;
+      let sx = 0, sy = 0, sz = 0; // Separation push
+      let vx = 0, vy = 0, vz = 0; // Summed neighbour velocity
+      let cx = 0, cy = 0, cz = 0; // Summed neighbour position
+
+      for (let k = 0; k < n && neighbors < maxNeighbors; k++) {
+        const j = candidates[k];
+        if (j === i) continue;
+        const j3 = j * 3;
+        const dx = px - pos[j3];
+        const dy = py - pos[j3 + 1];
+        const dz = pz - pos[j3 + 2];
+        const distSq = dx * dx + dy * dy + dz * dz;
+        if (distSq >= radiusSq) continue;
+
+        neighbors++;
+        vx += vel[j3];
+        vy += vel[j3 + 1];
+        vz += vel[j3 + 2];
+        cx += pos[j3];
+        cy += pos[j3 + 1];
+        cz += pos[j3 + 2];
+
+        if (distSq < sepSq && distSq > 1e-8) {
+          sx += dx / distSq;
+          sy += dy / distSq;
+          sz += dz / distSq;
+        }
+      }
+
+      if (neighbors > 0) {
+        const inv = 1 / neighbors;
+        out[i3] += sx * separation + (vx * inv - vel[i3]) * alignment + (cx * inv - px) * cohesion;
+        out[i3 + 1] += sy * separation + (vy * inv - vel[i3 + 1]) * alignment + (cy * inv - py) * cohesion;
+        out[i3 + 2] += sz * separation + (vz * inv - vel[i3 + 2]) * alignment + (cz * inv - pz) * cohesion;
+      }
+
+      // Steer speed toward cruising speed (along the current heading)
+      const speed = Math.sqrt(vel[i3] * vel[i3] + vel[i3 + 1] * vel[i3 + 1] + vel[i3 + 2] * vel[i3 + 2]);
+      if (speed > 1e-6) {
+        const push = (cruiseSpeed - speed) / speed * cruise;
+        out[i3] += vel[i3] * push;
+        out[i3 + 1] += vel[i3 + 1] * push;
+        out[i3 + 2] += vel[i3 + 2] * push;
+      }
+    }
+  }
+}
+
+export const FIELD_TYPES = {
+  wells: HandWellsField,
+  path: PathField,
+  curl: CurlNoiseField,
+  wind: WindField,
+  vortex: VortexField,
+  spring: RadialSpringField,
+  dragZone: DragZoneField,
+  selfGravity: SelfGravityField,
+  boids: BoidsField
+};
+
+/**
+ * Create a field by registered type name
+ */
+export function createField(type, params = {}) {
+  const FieldClass = FIELD_TYPES[type];
+  if (!FieldClass) {
+    throw new Error(`Unknown force field type: ${type}`);
+  }
+  const field = new FieldClass(params);
+  field.type = type;
+  return field;
+}
@@ -3,8 +3,16 @@
  * Includes drawing mode, scoring, and challenges
  */
 
+import { countWithin, quadrantCounts } from './Diagnostics.js';
+
 export class GameMode {
-  constructor() {
+  /**
+   * @param {Object} clock - Time source with now() in ms (see Clock.js),
+   *                         defaults to the wall clock
+   */
+  constructor(clock = null) {
+    this.clock = clock ?? { now: () => Date.now() };
+    
     // Mode state
     this.currentMode = 'free'; // 'free', 'draw', 'collect', 'disperse', 'balance'
     this.isDrawing = false;
@@ -14,6 +22,7 @@ export class GameMode {
     this.pathMaxLength = 600; // More points for multi-finger trails
     this.pathFadeTime = 10000; // 10 second fade for art persistence
     this.brushSize = 0.5; // Larger brush for easier attraction
+    this.wallMode = false; // Strokes become solid walls instead of attractors
     
     // Score system
     this.score = 0;
@@ -28,10 +37,13 @@ export class GameMode {
     this.challengeDuration = 30000; // 30 seconds
     this.challengeGoal = 0;
     this.challengeProgress = 0;
+    this.challengeSpecies = -1; // Species index the challenge counts, -1 = all
+    this.sortTargets = []; // Sort challenge: [{ species, side }], side -1 = left, 1 = right
     
-    // Orbit detection
-    this.orbitParticles = new Set();
+    // Orbit scoring (orbits are tracked by the physics, see OrbitTracker.js)
     this.lastOrbitCheck = 0;
+    this.orbitStreak = 0; // Consecutive checks with enough stable orbits
+    this.minStableOrbits = 5;
     
     // Art mode colors
     this.artColors = [
@@ -51,7 +63,7 @@ export class GameMode {
    * @param {string} finger - Optional finger identifier for unique colors
    */
   addDrawPoint(x, y, finger = null) {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Assign color based on finger (each finger gets its own color)
     let colorIndex = this.currentColorIndex;
@@ -81,12 +93,58 @@ export class GameMode {
    * Get active path points (remove faded ones)
    */
   getActivePath() {
-    const now = Date.now();
+    const now = this.clock.now();
     // Remove old points
     this.drawPath = this.drawPath.filter(p => now - p.time < this.pathFadeTime);
     return this.drawPath;
   }
 
+  /**
+   * Pull finished strokes out of the drawing path (for turning into walls)
+   * A stroke is finished once its finger has been idle for idleTime ms;
+   * jumps longer than 0.3 split a stroke in two
+   * @returns {Array} Arrays of { x, y } points, thinned to minSpacing
+   */
+  takeFinishedStrokes(idleTime = 400, minSpacing = 0.04) {
+    const now = this.clock.now();
+    const keyOf = (p) => p.finger ?? 'pointer';
+    
+    // Which fingers have stopped drawing
+    const lastTime = {};
+    for (const p of this.drawPath) lastTime[keyOf(p)] = p.time;
+    const finished = new Set(Object.keys(lastTime).filter(k => now - lastTime[k] > idleTime));
+    if (finished.size === 0) return [];
+    
+    const strokes = [];
+    const current = {}; // Open stroke per finger
+    const lastRaw = {}; // Last raw point per finger
+    const remaining = [];
+    
+    for (const p of this.drawPath) {
+      const key = keyOf(p);
+      if (!finished.has(key)) {
+        remaining.push(p);
+        continue;
+      }
+      
+      const prev = lastRaw[key];
+      if (!prev || Math.hypot(p.x - prev.x, p.y - prev.y) > 0.3 || p.time - prev.time > idleTime) {
+        current[key] = [];
+        strokes.push(current[key]);
+      }
+      lastRaw[key] = p;
+      
+      const stroke = current[key];
+      const last = stroke[stroke.length - 1];
+      if (!last || Math.hypot(p.x - last.x, p.y - last.y) >= minSpacing) {
+        stroke.push({ x: p.x, y: p.y });
+      }
+    }
+    
+    this.drawPath = remaining;
+    return strokes.filter(s => s.length >= 2);
+  }
+
   /**
    * Clear the drawing path
    */
@@ -106,7 +164,7 @@ export class GameMode {
    * Add score with combo multiplier
    */
   addScore(points) {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Reset combo if too much time passed
     if (now - this.comboTimer > this.comboTimeout) {
@@ -130,18 +188,23 @@ export class GameMode {
    */
   increaseCombo() {
     this.combo = Math.min(this.combo + 1, 10);
-    this.comboTimer = Date.now();
+    this.comboTimer = this.clock.now();
     return this.combo;
   }
 
   /**
    * Start a challenge
+   * @param {string} type - 'collect', 'disperse', 'balance' or 'sort'
+   * @param {Object} options - { species } index to count for collect/disperse/balance,
+   *                           { targets: [{ species, side }] } for sort
    */
-  startChallenge(type) {
+  startChallenge(type, options = {}) {
     this.currentMode = type;
     this.challengeActive = true;
-    this.challengeTimer = Date.now();
+    this.challengeTimer = this.clock.now();
     this.challengeProgress = 0;
+    this.challengeSpecies = options.species ?? -1;
+    this.sortTargets = options.targets ?? [];
     
     switch (type) {
       case 'collect':
@@ -153,6 +216,9 @@ export class GameMode {
       case 'balance':
         this.challengeGoal = 60; // Maintain 60% even distribution for 5 seconds
         break;
+      case 'sort':
+        this.challengeGoal = 75; // 75% of each species on its own side
+        break;
     }
     
     return { goal: this.challengeGoal, duration: this.challengeDuration };
@@ -160,11 +226,12 @@ export class GameMode {
 
   /**
    * Update challenge progress
+   * @param {Object} diagnostics - Statistics of the current frame (see Diagnostics.js)
    */
-  updateChallenge(particles, count) {
+  updateChallenge(diagnostics) {
     if (!this.challengeActive) return null;
     
-    const elapsed = Date.now() - this.challengeTimer;
+    const elapsed = Math.max(0, this.clock.now() - this.challengeTimer);
     const remaining = Math.max(0, this.challengeDuration - elapsed);
     
     // Check if time's up
@@ -174,45 +241,34 @@ export class GameMode {
       return { completed: true, success, score: this.score };
     }
     
-    // Calculate progress based on challenge type
-    let centerCount = 0;
-    let edgeCount = 0;
-    const centerRadius = 0.5;
-    const edgeRadius = 1.5;
-    
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3;
-      const x = particles[i3];
-      const y = particles[i3 + 1];
-      const dist = Math.sqrt(x * x + y * y);
+    // Calculate progress based on challenge type (kept from the last frame until stats arrive)
+    if (diagnostics) {
+      const group = this.challengeSpecies < 0
+        ? diagnostics
+        : diagnostics.species[this.challengeSpecies] ?? { count: 0, radial: [], grid: [] };
+      const counted = Math.max(group.count, 1);
+      const centerRadius = 0.5;
+      const edgeRadius = 1.5;
       
-      if (dist < centerRadius) centerCount++;
-      if (dist > edgeRadius) edgeCount++;
-    }
-    
-    switch (this.currentMode) {
-      case 'collect':
-        this.challengeProgress = (centerCount / count) * 100;
-        break;
-      case 'disperse':
-        this.challengeProgress = (edgeCount / count) * 100;
-        break;
-      case 'balance':
-        // Check quadrant distribution
-        const quadrants = [0, 0, 0, 0];
-        for (let i = 0; i < count; i++) {
-          const i3 = i * 3;
-          const x = particles[i3];
-          const y = particles[i3 + 1];
-          if (x >= 0 && y >= 0) quadrants[0]++;
-          else if (x < 0 && y >= 0) quadrants[1]++;
-          else if (x < 0 && y < 0) quadrants[2]++;
-          else quadrants[3]++;
+      switch (this.currentMode) {
+        case 'collect':
+          this.challengeProgress = (countWithin(diagnostics, group.radial, centerRadius) / counted) * 100;
+          break;
+        case 'disperse':
+          this.challengeProgress = ((group.count - countWithin(diagnostics, group.radial, edgeRadius)) / counted) * 100;
+          break;
+        case 'sort':
+          this.challengeProgress = this.sortProgress(diagnostics);
+          break;
+        case 'balance': {
+          // Check quadrant distribution
+          const quadrants = quadrantCounts(diagnostics, group.grid);
+          const ideal = counted / 4;
+          const variance = quadrants.reduce((sum, q) => sum + Math.abs(q - ideal), 0) / counted;
+          this.challengeProgress = Math.max(0, 100 - variance * 200);
+          break;
         }
-        const ideal = count / 4;
-        const variance = quadrants.reduce((sum, q) => sum + Math.abs(q - ideal), 0) / count;
-        this.challengeProgress = Math.max(0, 100 - variance * 200);
-        break;
+      }
     }
     
     // Award points for progress
@@ -229,6 +285,23 @@ export class GameMode {
     };
   }
 
+  /**
+   * Sort challenge score: the worst species' percentage on its target side
+   */
+  sortProgress(diagnostics) {
+    if (this.sortTargets.length === 0) return 0;
+    
+    let worst = 100;
+    for (const { species, side } of this.sortTargets) {
+      const group = diagnostics.species[species];
+      if (!group || group.count === 0) continue;
+      const [upperRight, upperLeft, lowerLeft, lowerRight] = quadrantCounts(diagnostics, group.grid);
+      const sorted = side > 0 ? upperRight + lowerRight : upperLeft + lowerLeft;
+      worst = Math.min(worst, (sorted / group.count) * 100);
+    }
+    return worst;
+  }
+
   /**
    * End the current challenge
    */
@@ -242,45 +315,31 @@ export class GameMode {
   }
 
   /**
-   * Check for stable orbits (particles moving in circles)
+   * Score stable orbits: particles that keep circling a well revolution
+   * after revolution. Points scale with the orbiting share; holding orbits
+   * for 2 s at a time builds the combo.
+   * @param {Object} diagnostics - Statistics of the current frame (see Diagnostics.js)
+   * @returns {number} Stable orbits
    */
-  detectOrbits(positions, velocities, count) {
-    const now = Date.now();
-    if (now - this.lastOrbitCheck < 500) return 0; // Check every 500ms
+  detectOrbits(diagnostics) {
+    const now = this.clock.now();
+    if (!diagnostics || now - this.lastOrbitCheck < 500) return 0; // Check every 500ms
     this.lastOrbitCheck = now;
     
-    let orbitingCount = 0;
-    
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3;
-      const x = positions[i3];
-      const y = positions[i3 + 1];
-      const vx = velocities[i3];
-      const vy = velocities[i3 + 1];
-      
-      const dist = Math.sqrt(x * x + y * y);
-      const speed = Math.sqrt(vx * vx + vy * vy);
-      
-      // Check if velocity is roughly perpendicular to position (orbital motion)
-      if (dist > 0.3 && speed > 0.001) {
-        const dotProduct = (x * vx + y * vy) / (dist * speed);
-        // If dot product is close to 0, motion is perpendicular (orbital)
-        if (Math.abs(dotProduct) < 0.3) {
-          orbitingCount++;
-        }
-      }
+    const stable = diagnostics.stableOrbits;
+    if (stable < this.minStableOrbits) {
+      this.orbitStreak = 0;
+      return stable;
     }
     
-    // Award points for orbits
-    const orbitPercent = orbitingCount / count;
-    if (orbitPercent > 0.3) {
-      this.addScore(Math.floor(orbitPercent * 10));
-      if (orbitPercent > 0.5) {
-        this.increaseCombo();
-      }
+    const orbitPercent = stable / Math.max(diagnostics.count, 1);
+    this.addScore(1 + Math.floor(orbitPercent * 20));
+    this.orbitStreak++;
+    if (this.orbitStreak % 4 === 0) {
+      this.increaseCombo();
     }
     
-    return orbitingCount;
+    return stable;
   }
 
   /**
@@ -290,7 +349,7 @@ export class GameMode {
     if (this.drawPath.length === 0) return { fx: 0, fy: 0 };
     
     let fx = 0, fy = 0;
-    const now = Date.now();
+    const now = this.clock.now();
     
     for (const point of this.drawPath) {
       const age = (now - point.time) / this.pathFadeTime;
@@ -327,6 +386,64 @@ export class GameMode {
     };
   }
 
+  /**
+   * Capture mode, score, challenge and drawing for a snapshot
+   * Timestamps are stored as ages so a restored path fades from where it was
+   */
+  serialize() {
+    const now = this.clock.now();
+    return {
+      mode: this.currentMode,
+      wallMode: this.wallMode,
+      score: this.score,
+      combo: this.combo,
+      comboAge: now - this.comboTimer,
+      currentColorIndex: this.currentColorIndex,
+      drawPath: this.drawPath.map(({ time, ...p }) => ({ ...p, age: now - time })),
+      challenge: this.challengeActive ? {
+        elapsed: now - this.challengeTimer,
+        goal: this.challengeGoal,
+        progress: this.challengeProgress,
+        species: this.challengeSpecies,
+        sortTargets: this.sortTargets
+      } : null
+    };
+  }
+
+  /**
+   * Restore the output of serialize() (the high score is kept)
+   */
+  restore(state) {
+    const now = this.clock.now();
+    this.currentMode = state.mode;
+    this.wallMode = state.wallMode;
+    this.score = state.score;
+    this.combo = state.combo;
+    this.comboTimer = now - state.comboAge;
+    this.currentColorIndex = state.currentColorIndex;
+    this.drawPath = state.drawPath.map(({ age, ...p }) => ({ ...p, time: now - age }));
+
+    const challenge = state.challenge;
+    this.challengeActive = challenge !== null;
+    if (challenge) {
+      this.challengeTimer = now - challenge.elapsed;
+      this.challengeGoal = challenge.goal;
+      this.challengeProgress = challenge.progress;
+      this.challengeSpecies = challenge.species;
+      this.sortTargets = challenge.sortTargets;
+    }
+  }
+
+  /**
+   * Forget drawing made after an earlier time the clock was rewound to
+   * (the score is kept)
+   */
+  rewindTo(time) {
+    this.drawPath = this.drawPath.filter(p => p.time <= time);
+    this.comboTimer = Math.min(this.comboTimer, time);
+    this.challengeTimer = Math.min(this.challengeTimer, time);
+  }
+
   /**
    * Reset score
    */
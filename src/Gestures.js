@@ -0,0 +1,325 @@
+/**
+ * Gestures - Hand shape recognition from joint angles, plus motion gestures
+ * Shapes are judged by how far each finger bends at its joints, which does
+ * not change when the hand tilts, turns or hangs upside down; distances are
+ * in palm lengths so they do not change with distance from the camera.
+ *
+ * Shapes: OPEN_PALM, FIST, POINTING, PEACE, THUMBS_UP, PINCH, PARTIAL
+ * Motion (per hand, over time): SWIPE (LEFT/RIGHT/UP/DOWN), ROTATE (CW/CCW)
+ * GestureStateMachine turns the per-frame shape into a debounced gesture.
+ */
+
+// MediaPipe landmarks per finger: knuckle, two joints, tip
+export const FINGER_JOINTS = {
+  thumb: [1, 2, 3, 4],
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  pinky: [17, 18, 19, 20]
+};
+
+export const SHAPE_THRESHOLDS = {
+  extendedCurl: 1.0, // Total bend (radians) under which a finger is straight
+  foldedCurl: 2.0, // Total bend over which a finger is folded
+  thumbCurl: 0.9, // Thumb bend (two joints) under which it is straight
+  thumbOut: 0.55, // Thumb tip to index knuckle, palm lengths, for an extended thumb
+  pinch: 0.25, // Thumb tip to index tip, palm lengths
+  pinchMaxCurl: 2.6, // A pinching index is bent, but not folded into a fist
+  thumbUpAngle: Math.PI / 4 // Thumb within this of straight up on screen
+};
+
+// What each shape expects of each finger: 1 straight, 0 folded
+const SHAPE_TEMPLATES = {
+  OPEN_PALM: { thumb: 1, index: 1, middle: 1, ring: 1, pinky: 1 },
+  FIST: { index: 0, middle: 0, ring: 0, pinky: 0, thumbUp: 0 },
+  THUMBS_UP: { index: 0, middle: 0, ring: 0, pinky: 0, thumbUp: 1 },
+  PEACE: { index: 1, middle: 1, ring: 0, pinky: 0 },
+  POINTING: { index: 1, middle: 0, ring: 0, pinky: 0 }
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) };
+}
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+/**
+ * Angle between two bone directions (0 = straight on)
+ */
+function bend(a, b) {
+  const la = length(a);
+  const lb = length(b);
+  if (la < 1e-9 || lb < 1e-9) return 0;
+  const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / (la * lb);
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+/**
+ * Total bend along a finger, in radians
+ * Fingers include the knuckle (measured against the wrist-knuckle line);
+ * the thumb only its two outer joints, its base moves too freely.
+ */
+function fingerCurl(landmarks, name) {
+  const [base, j1, j2, tip] = FINGER_JOINTS[name].map(k => landmarks[k]);
+  const bones = [sub(j1, base), sub(j2, j1), sub(tip, j2)];
+  let curl = bend(bones[0], bones[1]) + bend(bones[1], bones[2]);
+  if (name !== 'thumb') curl += bend(sub(base, landmarks[0]), bones[0]);
+  return curl;
+}
+
+/**
+ * Classify one hand
+ * @param {Array} landmarks - 21 MediaPipe landmarks ({x, y, z}, image space)
+ * @param {Object} thresholds - Overrides for SHAPE_THRESHOLDS
+ * @returns {Object} {
+ *   gesture, confidence (0-1), scores: { [gesture]: 0-1 },
+ *   extended: { thumb, index, middle, ring, pinky },
+ *   pinch (thumb-index gap in palm lengths), roll (radians from fingers-up,
+ *   clockwise on screen)
+ * }
+ */
+export function analyzeHand(landmarks, thresholds = {}) {
+  const t = { ...SHAPE_THRESHOLDS, ...thresholds };
+  const wrist = landmarks[0];
+  const palm = Math.max(length(sub(landmarks[9], wrist)), 1e-6);
+
+  const extended = {};
+  const folded = {};
+  const curl = {};
+  for (const name of Object.keys(FINGER_JOINTS)) {
+    curl[name] = fingerCurl(landmarks, name);
+    extended[name] = curl[name] < t.extendedCurl;
+    folded[name] = curl[name] > t.foldedCurl;
+  }
+  const thumbReach = length(sub(landmarks[4], landmarks[5])) / palm;
+  extended.thumb = curl.thumb < t.thumbCurl && thumbReach > t.thumbOut;
+
+  const pinch = length(sub(landmarks[4], landmarks[8])) / palm;
+
+  // Screen space is mirrored in x and flipped in y relative to the image
+  const up = sub(landmarks[9], wrist);
+  const roll = Math.atan2(-up.x, -up.y);
+  const thumb = sub(landmarks[4], landmarks[2]);
+  const thumbCos = -thumb.y / Math.max(Math.hypot(thumb.x, thumb.y), 1e-9);
+  const thumbUp = thumbCos > Math.cos(t.thumbUpAngle);
+
+  const fingers = ['index', 'middle', 'ring', 'pinky'];
+  const straight = fingers.filter(name => extended[name]).length;
+  const bent = fingers.filter(name => folded[name]).length;
+
+  let gesture = 'PARTIAL';
+  if (pinch < t.pinch && curl.index < t.pinchMaxCurl) {
+    gesture = 'PINCH';
+  } else if (straight === 4) {
+    gesture = extended.thumb ? 'OPEN_PALM' : 'PARTIAL';
+  } else if (bent === 4) {
+    gesture = extended.thumb && thumbUp ? 'THUMBS_UP' : 'FIST';
+  } else if (extended.index && extended.middle && folded.ring && folded.pinky) {
+    gesture = 'PEACE';
+  } else if (extended.index && folded.middle && folded.ring && folded.pinky) {
+    gesture = 'POINTING';
+  }
+
+  const scores = scoreShapes(t, curl, thumbReach, thumbCos, pinch);
+  return { gesture, confidence: scores[gesture], scores, extended, pinch, roll };
+}
+
+/**
+ * How well the hand matches each shape, 0-1
+ * Each measurement is scored by how far it is past its threshold (0.5 right
+ * at it; fingers midway between straight and folded); a shape is as certain
+ * as its least certain finger. PARTIAL is certain when nothing else is.
+ */
+function scoreShapes(t, curl, thumbReach, thumbCos, pinch) {
+  const straightness = { thumb: Math.min(
+    clamp01((t.thumbCurl * 1.5 - curl.thumb) / t.thumbCurl),
+    clamp01((thumbReach - t.thumbOut / 2) / t.thumbOut)
+  ) };
+  for (const name of ['index', 'middle', 'ring', 'pinky']) {
+    straightness[name] = clamp01((t.foldedCurl - curl[name]) / (t.foldedCurl - t.extendedCurl));
+  }
+  const upCos = Math.cos(t.thumbUpAngle);
+  straightness.thumbUp = Math.min(straightness.thumb, clamp01(0.5 + (thumbCos - upCos) / (1 - upCos) * 0.5));
+
+  const scores = {};
+  for (const [shape, template] of Object.entries(SHAPE_TEMPLATES)) {
+    scores[shape] = Math.min(...Object.entries(template).map(([part, want]) =>
+      want ? straightness[part] : 1 - straightness[part]
+    ));
+  }
+  scores.PINCH = Math.min(
+    clamp01(1 - pinch / (t.pinch * 2)),
+    clamp01(0.5 + (t.pinchMaxCurl - curl.index) / (t.pinchMaxCurl - t.foldedCurl) * 0.5)
+  );
+  scores.PARTIAL = 1 - Math.max(...Object.values(scores));
+  return scores;
+}
+
+/**
+ * Debounced gesture for one hand
+ * A new shape takes over only when it is classified with enough confidence,
+ * beats the current shape's own score by the hysteresis margin, and holds
+ * for its minimum time. Events are rate limited per type.
+ */
+export class GestureStateMachine {
+  static defaults = {
+    minConfidence: 0.6, // Classifications below this never change the state
+    hysteresis: 0.15, // New shape must score this much above the current one
+    holdTime: {
+      default: 100, // ms a new shape must persist before it counts
+      PINCH: 60,
+      OPEN_PALM: 120,
+      FIST: 120,
+      PEACE: 150,
+      THUMBS_UP: 200
+    },
+    cooldown: {
+      default: 250, // ms before the same event type can fire again
+      PINCH_START: 0, // Paired with PINCH_END, never dropped
+      PINCH_END: 0,
+      EXPLOSION: 1000,
+      IMPLODE: 1000,
+      PEACE: 1000,
+      THUMBS_UP: 1000
+    }
+  };
+
+  constructor(params = {}) {
+    this.params = { ...GestureStateMachine.defaults };
+    this.setParams(params);
+    this.reset();
+  }
+
+  setParams({ holdTime, cooldown, ...params }) {
+    Object.assign(this.params, params);
+    if (holdTime) this.params.holdTime = { ...this.params.holdTime, ...holdTime };
+    if (cooldown) this.params.cooldown = { ...this.params.cooldown, ...cooldown };
+  }
+
+  reset() {
+    this.gesture = null; // Debounced state
+    this.confidence = 0; // Current score of the debounced state
+    this.candidate = null;
+    this.candidateSince = 0;
+    this.lastFired = {}; // Event type -> ms
+  }
+
+  /**
+   * Feed one classification
+   * @param {Object} shape - From analyzeHand
+   * @param {number} now - Tracking time in ms
+   * @returns {string} The debounced gesture
+   */
+  update(shape, now) {
+    const { minConfidence, hysteresis, holdTime } = this.params;
+
+    if (this.gesture === null) {
+      // First sight of the hand: nothing to debounce against
+      this.gesture = shape.gesture;
+    } else if (shape.gesture === this.gesture) {
+      this.candidate = null;
+    } else if (shape.confidence >= minConfidence &&
+               shape.confidence >= (shape.scores[this.gesture] ?? 0) + hysteresis) {
+      if (this.candidate !== shape.gesture) {
+        this.candidate = shape.gesture;
+        this.candidateSince = now;
+      }
+      if (now - this.candidateSince >= (holdTime[shape.gesture] ?? holdTime.default)) {
+        this.gesture = shape.gesture;
+        this.candidate = null;
+      }
+    } else {
+      this.candidate = null;
+    }
+
+    this.confidence = shape.scores[this.gesture] ?? 0;
+    return this.gesture;
+  }
+
+  /**
+   * Whether an event of this type may fire now (and note that it did)
+   */
+  allow(type, now) {
+    const { cooldown } = this.params;
+    if (now - (this.lastFired[type] ?? -Infinity) < (cooldown[type] ?? cooldown.default)) return false;
+    this.lastFired[type] = now;
+    return true;
+  }
+}
+
+/**
+ * Per-hand detector for gestures made by moving: swipes from the filtered
+ * palm velocity, rotations from the unwrapped roll angle
+ */
+export class MotionGestures {
+  static defaults = {
+    swipeSpeed: 2.5, // Palm speed (units/s) that counts as a swipe
+    swipeRatio: 2, // Speed along the swipe over speed across it
+    swipeCooldown: 400, // ms before the same hand can swipe again
+    rotateAngle: Math.PI / 3, // Roll that counts as a rotate
+    rotateWindow: 600 // ms to complete it in
+  };
+
+  constructor(params = {}) {
+    this.params = { ...MotionGestures.defaults, ...params };
+    this.reset();
+  }
+
+  reset() {
+    this.lastSwipe = -Infinity;
+    this.roll = null; // Unwrapped
+    this.rawRoll = 0;
+    this.anchorRoll = 0;
+    this.anchorTime = 0;
+  }
+
+  /**
+   * @param {Object} hand - { vx, vy } in units/s and roll in radians
+   * @param {number} now - Tracking time in ms
+   * @returns {Array} Events: { type: 'SWIPE', direction } | { type: 'ROTATE', direction, angle }
+   */
+  update(hand, now) {
+    const events = [];
+    const { swipeSpeed, swipeRatio, swipeCooldown, rotateAngle, rotateWindow } = this.params;
+
+    const ax = Math.abs(hand.vx);
+    const ay = Math.abs(hand.vy);
+    if (now - this.lastSwipe > swipeCooldown && Math.max(ax, ay) > swipeSpeed) {
+      let direction = null;
+      if (ax > ay * swipeRatio) direction = hand.vx > 0 ? 'RIGHT' : 'LEFT';
+      else if (ay > ax * swipeRatio) direction = hand.vy > 0 ? 'UP' : 'DOWN';
+      if (direction) {
+        events.push({ type: 'SWIPE', direction });
+        this.lastSwipe = now;
+      }
+    }
+
+    if (this.roll === null) {
+      this.roll = this.anchorRoll = this.rawRoll = hand.roll;
+      this.anchorTime = now;
+      return events;
+    }
+    let delta = hand.roll - this.rawRoll;
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    else if (delta < -Math.PI) delta += Math.PI * 2;
+    this.rawRoll = hand.roll;
+    this.roll += delta;
+
+    const turned = this.roll - this.anchorRoll;
+    if (Math.abs(turned) >= rotateAngle) {
+      events.push({ type: 'ROTATE', direction: turned > 0 ? 'CW' : 'CCW', angle: turned });
+      this.anchorRoll = this.roll;
+      this.anchorTime = now;
+    } else if (now - this.anchorTime > rotateWindow) {
+      // Too slow to be a gesture: start measuring again from here
+      this.anchorRoll = this.roll;
+      this.anchorTime = now;
+    }
+
+    return events;
+  }
+}
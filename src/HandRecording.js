@@ -0,0 +1,185 @@
+/**
+ * HandRecording - Capture and replay MediaPipe Hands results
+ * Recordings are NDJSON: a header line, then one line per onResults frame
+ *   { "format": "gravity-sculptor-hands", "version": 1, "recordedAt": ISO date }
+ *   { "t": ms since start, "landmarks": [[{x,y,z} x21], ...], "handedness": [{label, score}, ...] }
+ * Playback feeds the frames back into HandTracker.onResults, so gestures,
+ * smoothing and wells behave exactly as with a live camera.
+ */
+
+export const HAND_RECORDING_FORMAT = 'gravity-sculptor-hands';
+export const HAND_RECORDING_VERSION = 1;
+export const HAND_RECORDING_EXTENSION = '.hands.ndjson';
+
+/**
+ * Collects onResults payloads while recording
+ */
+export class HandRecorder {
+  constructor() {
+    this.frames = [];
+    this.startTime = 0;
+    this.recordedAt = null;
+  }
+
+  start(now = performance.now()) {
+    this.frames = [];
+    this.startTime = now;
+    this.recordedAt = new Date().toISOString();
+  }
+
+  /**
+   * Keep the parts of a MediaPipe result the tracker reads (not the image)
+   */
+  record(results, now = performance.now()) {
+    this.frames.push({
+      t: Math.round((now - this.startTime) * 10) / 10,
+      landmarks: (results.multiHandLandmarks ?? []).map(hand =>
+        hand.map(({ x, y, z }) => ({ x, y, z }))
+      ),
+      handedness: (results.multiHandedness ?? []).map(({ label, score }) => ({ label, score }))
+    });
+  }
+
+  /**
+   * @returns {string} NDJSON text of everything recorded so far
+   */
+  toNDJSON() {
+    const header = { format: HAND_RECORDING_FORMAT, version: HAND_RECORDING_VERSION, recordedAt: this.recordedAt };
+    return [header, ...this.frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+}
+
+/**
+ * Read a recording from NDJSON, or JSON ({ frames } or a bare frame array)
+ * @returns {{ header: Object, frames: Array }}
+ * @throws {Error} When the text is not a hand recording
+ */
+export function parseHandRecording(text) {
+  let header = {};
+  let frames;
+  const trimmed = text.trim();
+
+  let data = null;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    // Not a single JSON document: NDJSON
+  }
+
+  if (Array.isArray(data)) {
+    frames = data;
+  } else if (Array.isArray(data?.frames)) {
+    ({ frames, ...header } = data);
+  } else {
+    const lines = trimmed.split('\n').filter(line => line.trim() !== '').map((line, n) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Hand recording line ${n + 1} is not valid JSON`);
+      }
+    });
+    if (lines[0]?.format) header = lines.shift();
+    frames = lines;
+  }
+
+  if (header.format && header.format !== HAND_RECORDING_FORMAT) {
+    throw new Error(`Not a hand recording (format ${header.format})`);
+  }
+  if (header.version > HAND_RECORDING_VERSION) {
+    throw new Error(`Hand recording version ${header.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(frames) || frames.length === 0 || frames.some(f => typeof f.t !== 'number' || !Array.isArray(f.landmarks))) {
+    throw new Error('Hand recording has no valid frames');
+  }
+  return { header, frames };
+}
+
+/**
+ * Turn a recorded frame back into the shape MediaPipe hands to onResults
+ */
+export function frameToResults(frame) {
+  return {
+    multiHandLandmarks: frame.landmarks,
+    multiHandedness: frame.handedness ?? []
+  };
+}
+
+/**
+ * Plays frames into a callback, at the recorded timing or one step at a time
+ */
+export class HandPlayback {
+  /**
+   * @param {Array} frames - From parseHandRecording
+   * @param {Object} options
+   * @param {boolean} options.stepped - Only advance on step()
+   * @param {boolean} options.loop - Start over after the last frame
+   */
+  constructor(frames, { stepped = false, loop = true } = {}) {
+    this.frames = frames;
+    this.stepped = stepped;
+    this.loop = loop;
+    this.index = 0;
+    this.timer = null;
+    this.onResults = null;
+    this.onEnd = null;
+  }
+
+  /**
+   * Length of one pass in ms, with one average frame gap before looping
+   */
+  get duration() {
+    const n = this.frames.length;
+    const last = this.frames[n - 1]?.t ?? 0;
+    return n > 1 ? last + (last - this.frames[0].t) / (n - 1) : last + 33;
+  }
+
+  get finished() {
+    return this.index >= this.frames.length;
+  }
+
+  /**
+   * Begin feeding frames to onResults(results, now)
+   * now follows the recorded timestamps (continuing across loops), so
+   * time-based tracking behaves the same whether stepped or timed
+   */
+  start(onResults) {
+    this.onResults = onResults;
+    this.index = 0;
+    this.origin = performance.now();
+    this.loopOffset = 0;
+    if (!this.stepped) this.schedule();
+  }
+
+  /**
+   * Deliver the next frame (stepped mode, or to nudge a timed playback)
+   * @returns {boolean} false when there was nothing left to play
+   */
+  step() {
+    if (this.finished) {
+      if (!this.loop || this.frames.length === 0) return false;
+      this.index = 0;
+      this.loopOffset += this.duration;
+    }
+    const frame = this.frames[this.index++];
+    this.onResults?.(frameToResults(frame), this.origin + this.loopOffset + frame.t);
+    if (this.finished && !this.loop) this.onEnd?.();
+    return true;
+  }
+
+  schedule() {
+    if (this.finished && !this.loop) return;
+    const current = this.frames[this.index % this.frames.length];
+    const previous = this.frames[this.index - 1];
+    const delay = previous && this.index < this.frames.length ? Math.max(0, current.t - previous.t) : 0;
+    this.timer = setTimeout(() => {
+      this.step();
+      this.schedule();
+    }, delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.onResults = null;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * HandRoles - Rules that decide what each hand's gravity well does
+ * A role is { polarity, strength, radius }: polarity 1 attracts, -1 repels,
+ * null follows the global Attract/Repel toggle; strength multiplies the well;
+ * radius overrides Physics.fieldRadius (null = default).
+ * Gesture rules take precedence over handedness rules.
+ */
+
+export const DEFAULT_ROLE = { polarity: null, strength: 1, radius: null };
+
+export const ROLE_PRESETS = {
+  // Both hands follow the Attract/Repel toggle
+  same: {
+    handedness: {},
+    gestures: {}
+  },
+
+  // Left hand attracts, right hand repels
+  handed: {
+    handedness: {
+      Left: { polarity: 1 },
+      Right: { polarity: -1 }
+    },
+    gestures: {}
+  },
+
+  // FIST is a strong, tight attractor; OPEN_PALM pushes away
+  gesture: {
+    handedness: {},
+    gestures: {
+      FIST: { polarity: 1, strength: 1.8, radius: 1.5 },
+      OPEN_PALM: { polarity: -1 }
+    }
+  }
+};
+
+/**
+ * Resolve the role for one hand
+ * @param {Object} rules - { handedness: { Left, Right }, gestures: { [gesture]: role } }
+ * @param {string} handedness - 'Left' | 'Right' | null
+ * @param {string} gesture - Current gesture name
+ * @returns {Object} { polarity, strength, radius }
+ */
+export function resolveRole(rules, handedness, gesture) {
+  return {
+    ...DEFAULT_ROLE,
+    ...rules.handedness?.[handedness],
+    ...rules.gestures?.[gesture]
+  };
+}
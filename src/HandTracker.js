@@ -3,21 +3,80 @@
  * Tracks hand positions and converts them to normalized screen coordinates
  */
 
+import { ROLE_PRESETS, resolveRole } from './HandRoles.js';
+import { HandRecorder, HandPlayback } from './HandRecording.js';
+import { OneEuroFilter } from './OneEuroFilter.js';
+import { analyzeHand, MotionGestures, GestureStateMachine } from './Gestures.js';
+
+// Which One Euro filter settings each smoothed hand value uses
+const FILTERED_VALUES = {
+  x: 'palm',
+  y: 'palm',
+  z: 'palm',
+  depth: 'palm',
+  fingerX: 'finger',
+  fingerY: 'finger',
+  spread: 'spread',
+  pinch: 'spread'
+};
+
+// Shape changes worth an event when a hand enters them
+const SHAPE_EVENTS = {
+  PEACE: '✌️',
+  THUMBS_UP: '👍'
+};
+
 export class HandTracker {
   constructor() {
     this.hands = [];
     this.rawHands = [];
     this.isReady = false;
-    this.smoothingFactor = 0.5; // Higher = more responsive for drawing
     this.video = null;
     this.handsApi = null;
     this.camera = null;
     this.fingerTips = []; // For drawing mode - use index finger
     
+    // One Euro smoothing (see OneEuroFilter.js): minCutoff in Hz, beta in Hz
+    // per unit/s of hand speed. Fingertips open up faster for drawing.
+    this.filterParams = {
+      palm: { minCutoff: 1.2, beta: 2.0 },
+      finger: { minCutoff: 2.0, beta: 4.0 },
+      spread: { minCutoff: 1.0, beta: 0.5 }
+    };
+    
+    // Tracking runs at camera rate (~30 fps) behind rendering (60+ fps), so
+    // wells are extrapolated along the hand velocity by the time since the
+    // last tracking frame plus the camera/inference latency, up to a cap
+    this.predictionLatency = 15; // ms
+    this.predictionHorizon = 50; // ms
+    this.lastResultsAt = null; // performance.now() of the last tracking frame
+    
+    // Persistent hand identities: detections are matched to tracks by
+    // handedness and distance, so reordering does not swap hands and a
+    // briefly lost hand coasts and fades instead of vanishing
+    this.tracks = []; // { id, hand (smoothed), raw (this frame's detection or null), filters, prevGesture, lastSeen, updatedAt }
+    this.nextHandId = 1;
+    this.gracePeriod = 400; // ms a lost hand keeps (fading) its well
+    this.maxMatchDistance = 0.6; // Farther jumps (in -1..1 units) start a new hand
+    this.handednessPenalty = 0.5; // Added to the distance when the labels disagree
+    
     // Gesture tracking
-    this.gestures = []; // Current gesture for each hand
-    this.prevGestures = []; // Previous frame gestures
-    this.gestureEvents = []; // Events like "palm_opened" for explosion
+    this.gestureEvents = []; // Queued events like "palm_opened" for explosion, until read
+    this.maxQueuedEvents = 32; // Oldest are dropped if nobody reads them
+    this.shapeThresholds = {}; // Overrides for SHAPE_THRESHOLDS (see Gestures.js)
+    this.gestureParams = { holdTime: {}, cooldown: {} }; // Overrides for GestureStateMachine.defaults
+    
+    // Per-hand well polarity/strength/radius rules (see HandRoles.js)
+    this.roleRules = ROLE_PRESETS.same;
+    
+    // Hand depth from apparent palm size (MediaPipe z is relative to the wrist,
+    // not the camera). The reference is the palm length at the neutral depth.
+    this.depthReference = parseFloat(localStorage.getItem('gravitySculptor_depthReference') || '0.2');
+    this.depthGain = 2.5; // Depth units per e-fold change in palm size
+    
+    // Landmark recording and camera-free playback (see HandRecording.js)
+    this.recorder = null;
+    this.playback = null;
   }
 
   async init() {
@@ -76,7 +135,13 @@ export class HandTracker {
     }
   }
 
-  onResults(results) {
+  /**
+   * @param {Object} results - MediaPipe Hands results
+   * @param {number} now - Frame time in ms (replays pass the recorded time)
+   */
+  onResults(results, now = performance.now()) {
+    this.recorder?.record(results, now);
+    this.lastResultsAt = performance.now();
     this.rawHands = [];
 
     // Debug: log when hands are detected
@@ -85,7 +150,7 @@ export class HandTracker {
     }
 
     if (results.multiHandLandmarks) {
-      for (const landmarks of results.multiHandLandmarks) {
+      results.multiHandLandmarks.forEach((landmarks, handIdx) => {
         // Use palm center (wrist + middle finger MCP average) for stable tracking
         const wrist = landmarks[0];
         const middleMcp = landmarks[9];
@@ -94,6 +159,10 @@ export class HandTracker {
         const palmX = (wrist.x + middleMcp.x) / 2;
         const palmY = (wrist.y + middleMcp.y) / 2;
         const palmZ = (wrist.z + middleMcp.z) / 2;
+        
+        // Palm length grows as the hand nears the camera
+        const palmSize = Math.hypot(wrist.x - middleMcp.x, wrist.y - middleMcp.y);
+        const depth = Math.max(-1, Math.min(1, Math.log(palmSize / this.depthReference) * this.depthGain));
 
         // Calculate finger spread for gravity strength
         // Distance between thumb tip and pinky tip normalized
@@ -110,143 +179,245 @@ export class HandTracker {
         // Get index finger tip for drawing (landmark 8)
         const indexTip = landmarks[8];
         
-        // Detect gesture
-        const gesture = this.detectGesture(landmarks, normalizedSpread);
+        // Detect gesture from joint angles (works with the hand tilted)
+        const shape = analyzeHand(landmarks, this.shapeThresholds);
+        
+        // MediaPipe labels handedness as if the image were mirrored; the
+        // webcam frame is not, so swap to get the user's actual hand
+        const label = results.multiHandedness?.[handIdx]?.label;
+        const handedness = label === 'Left' ? 'Right' : label === 'Right' ? 'Left' : null;
         
         this.rawHands.push({
           // Mirror X for intuitive control, convert to -1 to 1 range
           x: -(palmX * 2 - 1),
           y: -(palmY * 2 - 1),
           z: palmZ,
+          depth: depth,
+          palmSize: palmSize,
           spread: normalizedSpread,
           landmarks: landmarks,
           // Index finger tip for precise drawing
           fingerX: -(indexTip.x * 2 - 1),
           fingerY: -(indexTip.y * 2 - 1),
-          gesture: gesture
+          gesture: shape.gesture,
+          confidence: shape.confidence,
+          scores: shape.scores,
+          extended: shape.extended,
+          pinch: shape.pinch,
+          roll: shape.roll,
+          handedness: handedness
         });
-      }
+      });
     }
 
-    // Detect gesture events (transitions)
-    this.detectGestureEvents();
+    // Match detections to persistent hands
+    this.associateHands(now);
     
     // Smooth hand positions
-    this.smoothHands();
+    this.smoothHands(now);
+    
+    // Detect gesture events (transitions and motions)
+    this.detectGestureEvents(now);
   }
-  
+
   /**
-   * Detect current gesture from hand landmarks
+   * Give each detection the id of the track it continues
+   * Greedy nearest-first matching on distance to the smoothed position, with a
+   * penalty for disagreeing handedness (MediaPipe labels are usually right
+   * but can flip for a frame). Tracks unseen for longer than gracePeriod end.
    */
-  detectGesture(landmarks, spread) {
-    // Check if fingers are extended by comparing tip to knuckle positions
-    const wrist = landmarks[0];
-    
-    // Finger tip and pip (middle joint) landmarks
-    const fingers = {
-      thumb: { tip: landmarks[4], pip: landmarks[3] },
-      index: { tip: landmarks[8], pip: landmarks[6] },
-      middle: { tip: landmarks[12], pip: landmarks[10] },
-      ring: { tip: landmarks[16], pip: landmarks[14] },
-      pinky: { tip: landmarks[20], pip: landmarks[18] }
-    };
-    
-    // Count extended fingers (tip is further from wrist than pip)
-    let extendedCount = 0;
-    
-    // For thumb, check x distance (horizontal spread)
-    const thumbExtended = Math.abs(fingers.thumb.tip.x - wrist.x) > 
-                          Math.abs(fingers.thumb.pip.x - wrist.x) * 1.2;
-    if (thumbExtended) extendedCount++;
+  associateHands(now) {
+    const pairs = [];
+    for (const raw of this.rawHands) {
+      for (const track of this.tracks) {
+        let cost = Math.hypot(raw.x - track.hand.x, raw.y - track.hand.y);
+        if (raw.handedness && track.hand.handedness && raw.handedness !== track.hand.handedness) {
+          cost += this.handednessPenalty;
+        }
+        if (cost < this.maxMatchDistance) pairs.push({ raw, track, cost });
+      }
+    }
+    pairs.sort((a, b) => a.cost - b.cost);
     
-    // For other fingers, check y distance (vertical)
-    for (const name of ['index', 'middle', 'ring', 'pinky']) {
-      const finger = fingers[name];
-      // Tip should be above (lower y) than pip when extended
-      if (finger.tip.y < finger.pip.y - 0.02) {
-        extendedCount++;
+    for (const track of this.tracks) track.raw = null;
+    const matched = new Set();
+    for (const { raw, track, cost } of pairs) {
+      if (matched.has(raw) || track.raw) continue;
+      matched.add(raw);
+      track.raw = raw;
+      track.lastSeen = now;
+      // Found again after coasting: the filters still hold the pre-loss
+      // state and would report a velocity spike (a false swipe/slingshot)
+      if (track.hand.fade < 1) {
+        for (const filter of Object.values(track.filters)) filter.reset();
       }
     }
     
-    // Determine gesture
-    if (spread > 0.7 && extendedCount >= 4) {
-      return 'OPEN_PALM';
-    } else if (extendedCount <= 1 && spread < 0.3) {
-      return 'FIST';
-    } else if (extendedCount === 1 || extendedCount === 2) {
-      return 'POINTING';
-    } else {
-      return 'PARTIAL';
+    for (const raw of this.rawHands) {
+      if (matched.has(raw)) continue;
+      const id = this.nextHandId++;
+      this.tracks.push({
+        id,
+        hand: { ...raw, id, vx: 0, vy: 0, fade: 1 },
+        raw,
+        filters: this.createFilters(),
+        gestures: new GestureStateMachine(this.gestureParams),
+        motion: new MotionGestures(),
+        prevGesture: null,
+        lastSeen: now,
+        updatedAt: now
+      });
+    }
+    
+    this.tracks = this.tracks
+      .filter(track => now - track.lastSeen <= this.gracePeriod)
+      .sort((a, b) => a.id - b.id);
+    for (const track of this.tracks) {
+      if (track.raw) track.raw.id = track.id;
     }
   }
   
   /**
-   * Detect gesture transition events (like palm opening = explosion)
+   * Detect gesture events: transitions of the debounced gesture (like palm
+   * opening = explosion) and motions (swipes, rotations)
+   * Every event has { type, handIndex, handId, x, y }; PINCH_* add pinch,
+   * SWIPE and ROTATE add direction (ROTATE also the angle in radians).
+   * Each event type has a per-hand cooldown (GestureStateMachine.allow).
+   * Events are appended to the queue that getGestureEvents() drains.
    */
-  detectGestureEvents() {
-    this.gestureEvents = [];
-    
-    for (let i = 0; i < this.rawHands.length; i++) {
-      const current = this.rawHands[i]?.gesture;
-      const prev = this.prevGestures[i];
+  detectGestureEvents(now) {
+    // Gesture history is per hand id, so a reordered or returning hand is
+    // compared with itself
+    this.tracks.forEach((track, i) => {
+      const raw = track.raw;
+      if (!raw) return;
+      const current = track.hand.gesture;
+      const prev = track.prevGesture;
+      const emit = (type, extra = {}) => {
+        if (!track.gestures.allow(type, now)) return false;
+        this.gestureEvents.push({ type, handIndex: i, handId: track.id, x: raw.x, y: raw.y, ...extra });
+        return true;
+      };
       
       // Detect palm opening (was fist or partial, now open)
       if (current === 'OPEN_PALM' && (prev === 'FIST' || prev === 'PARTIAL')) {
-        this.gestureEvents.push({
-          type: 'EXPLOSION',
-          handIndex: i,
-          x: this.rawHands[i].x,
-          y: this.rawHands[i].y
-        });
-        console.log('💥 EXPLOSION gesture detected!');
+        if (emit('EXPLOSION')) console.log('💥 EXPLOSION gesture detected!');
       }
       
       // Detect fist closing (was open, now fist) = implode/attract burst
       if (current === 'FIST' && prev === 'OPEN_PALM') {
-        this.gestureEvents.push({
-          type: 'IMPLODE',
-          handIndex: i,
-          x: this.rawHands[i].x,
-          y: this.rawHands[i].y
-        });
-        console.log('🌀 IMPLODE gesture detected!');
+        if (emit('IMPLODE')) console.log('🌀 IMPLODE gesture detected!');
       }
-    }
+      
+      // Pinch start/end, with how closed it is (the hand keeps its pinch value while held)
+      if (current === 'PINCH' && prev !== 'PINCH') emit('PINCH_START', { pinch: track.hand.pinch });
+      if (prev === 'PINCH' && current !== 'PINCH') emit('PINCH_END', { pinch: track.hand.pinch });
+      
+      // Held shapes fire once on entry
+      if (SHAPE_EVENTS[current] && current !== prev && emit(current)) {
+        console.log(`${SHAPE_EVENTS[current]} ${current} gesture detected!`);
+      }
+      
+      // Swipes and wrist rotations from the filtered hand motion
+      for (const motion of track.motion.update(track.hand, now)) {
+        const { type, ...extra } = motion;
+        emit(type, extra);
+      }
+      
+      // Store current gesture for next frame comparison
+      track.prevGesture = current;
+    });
     
-    // Store current gestures for next frame comparison
-    this.prevGestures = this.rawHands.map(h => h?.gesture);
+    if (this.gestureEvents.length > this.maxQueuedEvents) {
+      this.gestureEvents.splice(0, this.gestureEvents.length - this.maxQueuedEvents);
+    }
   }
 
-  smoothHands() {
-    // Match hand count
-    while (this.hands.length < this.rawHands.length) {
-      this.hands.push({ ...this.rawHands[this.hands.length] });
+  /**
+   * Tune gesture debouncing for every hand
+   * @param {Object} params - { minConfidence, hysteresis, holdTime: { [gesture]: ms }, cooldown: { [event]: ms } }
+   */
+  setGestureParams(params) {
+    const { holdTime, cooldown } = this.gestureParams;
+    this.gestureParams = {
+      ...this.gestureParams,
+      ...params,
+      holdTime: { ...holdTime, ...params.holdTime },
+      cooldown: { ...cooldown, ...params.cooldown }
+    };
+    for (const track of this.tracks) track.gestures.setParams(params);
+  }
+
+  createFilters() {
+    const filters = {};
+    for (const [key, group] of Object.entries(FILTERED_VALUES)) {
+      filters[key] = new OneEuroFilter(this.filterParams[group]);
     }
-    while (this.hands.length > this.rawHands.length) {
-      this.hands.pop();
+    return filters;
+  }
+
+  /**
+   * Tune the One Euro filter for one group of values
+   * @param {string} group - 'palm' | 'finger' | 'spread'
+   * @param {Object} params - { minCutoff, beta, dCutoff }
+   */
+  setFilterParams(group, params) {
+    this.filterParams[group] = { ...this.filterParams[group], ...params };
+    for (const track of this.tracks) {
+      for (const [key, keyGroup] of Object.entries(FILTERED_VALUES)) {
+        if (keyGroup === group) track.filters[key].setParams(params);
+      }
     }
+  }
 
-    // Apply smoothing
-    for (let i = 0; i < this.hands.length; i++) {
-      const raw = this.rawHands[i];
-      const smooth = this.hands[i];
+  /**
+   * Filter each visible hand's detection; lost hands coast on their last
+   * velocity and fade out over the grace period.
+   * Velocities (vx, vy) are in units per second of tracking time.
+   */
+  smoothHands(now) {
+    const seconds = now / 1000;
+    
+    for (const track of this.tracks) {
+      const raw = track.raw;
+      const smooth = track.hand;
       
-      smooth.x += (raw.x - smooth.x) * this.smoothingFactor;
-      smooth.y += (raw.y - smooth.y) * this.smoothingFactor;
-      smooth.z += (raw.z - smooth.z) * this.smoothingFactor;
-      smooth.spread += (raw.spread - smooth.spread) * this.smoothingFactor;
+      if (!raw) {
+        const dt = (now - track.updatedAt) / 1000;
+        smooth.x += smooth.vx * dt;
+        smooth.y += smooth.vy * dt;
+        smooth.vx *= 0.8;
+        smooth.vy *= 0.8;
+        smooth.fade = Math.max(0, 1 - (now - track.lastSeen) / this.gracePeriod);
+        track.updatedAt = now;
+        continue;
+      }
       
-      // Finger tips need faster response for drawing - use higher factor
-      const fingerSmooth = 0.7;
-      if (raw.fingerX !== undefined) {
-        smooth.fingerX = smooth.fingerX !== undefined 
-          ? smooth.fingerX + (raw.fingerX - smooth.fingerX) * fingerSmooth
-          : raw.fingerX;
-        smooth.fingerY = smooth.fingerY !== undefined
-          ? smooth.fingerY + (raw.fingerY - smooth.fingerY) * fingerSmooth
-          : raw.fingerY;
+      for (const key of Object.keys(FILTERED_VALUES)) {
+        if (raw[key] !== undefined) smooth[key] = track.filters[key].filter(raw[key], seconds);
       }
+      smooth.vx = track.filters.x.derivative;
+      smooth.vy = track.filters.y.derivative;
+      smooth.fade = 1;
+      // Debounced: a flicker of another shape does not change the gesture
+      smooth.gesture = track.gestures.update(raw, now);
+      smooth.gestureConfidence = track.gestures.confidence;
+      smooth.roll = raw.roll;
+      smooth.handedness = raw.handedness;
+      track.updatedAt = now;
     }
+    
+    this.hands = this.tracks.map(track => track.hand);
+  }
+
+  /**
+   * Seconds to extrapolate hand positions by at render time
+   * (none while stepping through a recording, which has no real-time lag)
+   */
+  predictionLead() {
+    if (this.lastResultsAt === null || this.playback?.stepped) return 0;
+    const elapsed = performance.now() - this.lastResultsAt + this.predictionLatency;
+    return Math.min(this.predictionHorizon, Math.max(0, elapsed)) / 1000;
   }
   
   /**
@@ -255,44 +426,19 @@ export class HandTracker {
    */
   getFingerTips() {
     const tips = [];
+    const tipLandmarks = { index: 8, middle: 12, ring: 16, pinky: 20, thumb: 4 };
     
     for (const hand of this.rawHands) {
       if (!hand.landmarks) continue;
       
-      const landmarks = hand.landmarks;
-      const wrist = landmarks[0];
-      
-      // Finger tip and pip landmarks
-      const fingers = [
-        { name: 'index', tip: 8, pip: 6 },
-        { name: 'middle', tip: 12, pip: 10 },
-        { name: 'ring', tip: 16, pip: 14 },
-        { name: 'pinky', tip: 20, pip: 18 }
-      ];
-      
-      // Check each finger
-      for (const finger of fingers) {
-        const tip = landmarks[finger.tip];
-        const pip = landmarks[finger.pip];
-        
-        // Finger is extended if tip is above (lower y) than pip
-        if (tip.y < pip.y - 0.02) {
-          tips.push({
-            x: -(tip.x * 2 - 1), // Mirror X
-            y: -(tip.y * 2 - 1),
-            finger: finger.name
-          });
-        }
-      }
-      
-      // Also check thumb (uses x distance instead of y)
-      const thumbTip = landmarks[4];
-      const thumbPip = landmarks[3];
-      if (Math.abs(thumbTip.x - wrist.x) > Math.abs(thumbPip.x - wrist.x) * 1.2) {
+      // Extended as judged from joint angles (see Gestures.js)
+      for (const [finger, index] of Object.entries(tipLandmarks)) {
+        if (!hand.extended?.[finger]) continue;
+        const tip = hand.landmarks[index];
         tips.push({
-          x: -(thumbTip.x * 2 - 1),
-          y: -(thumbTip.y * 2 - 1),
-          finger: 'thumb'
+          x: -(tip.x * 2 - 1), // Mirror X
+          y: -(tip.y * 2 - 1),
+          finger
         });
       }
     }
@@ -300,61 +446,121 @@ export class HandTracker {
     return tips;
   }
 
+  /**
+   * Get index-finger pointers for POINTING hands (used to spawn particle streams)
+   * Returns array of { handIndex, handId, x, y, dx, dy } - tip position and finger direction (-1 to 1 space)
+   */
+  getPointers() {
+    const pointers = [];
+    const lead = this.predictionLead();
+    
+    this.tracks.forEach((track, i) => {
+      const hand = track.raw;
+      if (!hand?.landmarks || track.hand.gesture !== 'POINTING') return;
+      
+      const mcp = hand.landmarks[5];
+      const tip = hand.landmarks[8];
+      const smooth = track.hand;
+      
+      pointers.push({
+        handIndex: i,
+        handId: track.id,
+        x: (smooth.fingerX ?? hand.fingerX) + smooth.vx * lead,
+        y: (smooth.fingerY ?? hand.fingerY) + smooth.vy * lead,
+        // Mirror X like the positions
+        dx: -(tip.x - mcp.x),
+        dy: -(tip.y - mcp.y)
+      });
+    });
+    
+    return pointers;
+  }
+
+  /**
+   * Take the current palm size as the neutral depth (z = 0)
+   * @returns {boolean} false when no hand is visible
+   */
+  calibrateDepth() {
+    if (this.rawHands.length === 0) return false;
+    const total = this.rawHands.reduce((sum, hand) => sum + hand.palmSize, 0);
+    this.depthReference = total / this.rawHands.length;
+    localStorage.setItem('gravitySculptor_depthReference', this.depthReference.toString());
+    return true;
+  }
+
+  /**
+   * Set the rules that map handedness and gesture to each well's role
+   */
+  setRoleRules(rules) {
+    this.roleRules = rules;
+  }
+
   /**
    * Get gravity wells from detected hands
-   * Returns array of { x, y, z, strength, gesture } in normalized coordinates (-1 to 1)
+   * Returns array of { id, x, y, z, depth, strength, polarity, radius, gesture, pinch, roll, handedness }
+   * in normalized coordinates (-1 to 1); depth is the calibrated distance from
+   * the neutral plane (+1 = near the camera); polarity/radius null = physics defaults.
+   * Ordered by hand id; a lost hand keeps its well while its strength fades.
+   * Positions are predicted ahead to the render time (see predictionLead).
    */
   getGravityWells() {
-    return this.hands.map((hand, i) => ({
-      x: hand.x,
-      y: hand.y,
-      z: hand.z,
-      // Spread affects gravity strength: open hand = stronger, closed = weaker
-      strength: 0.5 + hand.spread * 0.5,
-      gesture: this.rawHands[i]?.gesture || 'NONE'
-    }));
+    const lead = this.predictionLead();
+    
+    return this.hands.map(hand => {
+      const gesture = hand.gesture || 'NONE';
+      const role = resolveRole(this.roleRules, hand.handedness, gesture);
+      
+      return {
+        id: hand.id,
+        x: hand.x + hand.vx * lead,
+        y: hand.y + hand.vy * lead,
+        z: hand.z,
+        depth: hand.depth,
+        // Spread affects gravity strength: open hand = stronger, closed = weaker
+        strength: (0.5 + hand.spread * 0.5) * role.strength * hand.fade,
+        polarity: role.polarity,
+        radius: role.radius,
+        gesture: gesture,
+        pinch: hand.pinch, // Thumb-index gap in palm lengths (PINCH below 0.25)
+        roll: hand.roll, // Radians from fingers-up, clockwise on screen
+        handedness: hand.handedness ?? null
+      };
+    });
   }
   
   /**
-   * Get gesture events that occurred this frame (EXPLOSION, IMPLODE, etc.)
+   * Take the gesture events (EXPLOSION, IMPLODE, etc.) queued since the last
+   * call. Tracking runs slower than rendering, so each event is handed out
+   * exactly once rather than on every render frame until the next result.
    */
   getGestureEvents() {
-    return this.gestureEvents;
+    const events = this.gestureEvents;
+    this.gestureEvents = [];
+    return events;
   }
   
   /**
-   * Get current gestures for all hands
+   * Get current (debounced) gestures, one per hand in getGravityWells() order
+   * A hand that is coasting after losing tracking reports 'LOST'.
    */
   getGestures() {
-    return this.rawHands.map(h => h?.gesture || 'NONE');
+    return this.tracks.map(track => track.raw ? track.hand.gesture || 'NONE' : 'LOST');
+  }
+
+  /**
+   * Confidence (0-1) in each getGestures() entry (0 for lost hands)
+   */
+  getGestureConfidences() {
+    return this.tracks.map(track => track.raw ? track.hand.gestureConfidence ?? 0 : 0);
   }
 
   /**
    * Get hand velocities for slingshot effect detection
+   * Measured between tracking timestamps, in units per 1/60 s tick (the
+   * physics convention) so the slingshot does not depend on render rate
    */
   getHandVelocities() {
-    // Track previous positions for velocity calculation
-    if (!this._prevHands) {
-      this._prevHands = [];
-    }
-
-    const velocities = [];
-    
-    for (let i = 0; i < this.hands.length; i++) {
-      if (this._prevHands[i]) {
-        velocities.push({
-          vx: this.hands[i].x - this._prevHands[i].x,
-          vy: this.hands[i].y - this._prevHands[i].y
-        });
-      } else {
-        velocities.push({ vx: 0, vy: 0 });
-      }
-    }
-
-    // Store current as previous for next frame
-    this._prevHands = this.hands.map(h => ({ ...h }));
-
-    return velocities;
+    return this.hands.map(hand => ({ vx: hand.vx / 60, vy: hand.vy / 60 }));
   }
 
   /**
@@ -387,7 +593,80 @@ export class HandTracker {
     await loadScript('https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js');
   }
 
+  /**
+   * Start capturing every onResults frame (live or replayed)
+   */
+  startRecording() {
+    this.recorder = new HandRecorder();
+    this.recorder.start();
+  }
+
+  /**
+   * @returns {string|null} The recording as NDJSON, null if none was running
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    return recorder ? recorder.toNDJSON() : null;
+  }
+
+  get isRecording() {
+    return this.recorder !== null;
+  }
+
+  /**
+   * Drive tracking from recorded frames instead of the camera
+   * The live camera (if any) is stopped; frames go through onResults as usual.
+   * @param {Array} frames - From parseHandRecording
+   * @param {Object} options - { stepped, loop } (see HandPlayback)
+   */
+  startPlayback(frames, options = {}) {
+    this.stopPlayback();
+    this.stopCamera();
+    this.rawHands = [];
+    this.hands = [];
+    this.tracks = [];
+    this.playback = new HandPlayback(frames, options);
+    this.playback.start((results, now) => this.onResults(results, now));
+    this.isReady = true;
+    console.log(`▶️ Replaying ${frames.length} hand frames${options.stepped ? ' (stepped)' : ''}`);
+  }
+
+  /**
+   * End a replay and forget its hands, so they do not linger as wells if
+   * no live camera takes over
+   */
+  stopPlayback() {
+    if (!this.playback) return;
+    this.playback.stop();
+    this.playback = null;
+    this.rawHands = [];
+    this.hands = [];
+    this.tracks = [];
+    this.gestureEvents = [];
+  }
+
+  /**
+   * Advance a stepped playback by one frame
+   * @returns {boolean} false when not replaying or out of frames
+   */
+  stepPlayback() {
+    return this.playback?.step() ?? false;
+  }
+
+  stopCamera() {
+    if (this.camera) {
+      this.camera.stop();
+      this.camera = null;
+    }
+    if (this.video && this.video.srcObject) {
+      this.video.srcObject.getTracks().forEach(track => track.stop());
+      this.video.srcObject = null;
+    }
+  }
+
   dispose() {
+    this.stopPlayback();
     if (this.camera) {
       this.camera.stop();
     }
@@ -0,0 +1,104 @@
+/**
+ * Integrators - Pluggable time-stepping schemes for Physics
+ * Each advances physics.positions/velocities by h ticks (1 tick = 1/60 s),
+ * pulling accelerations from physics.computeAccelerations(pos, vel, out)
+ */
+
+/**
+ * Semi-implicit (symplectic) Euler - one force evaluation per step
+ */
+export function semiImplicitEuler(physics, h) {
+  const x = physics.positions;
+  const v = physics.velocities;
+  const a = physics.scratch('a1');
+  const n = physics.count * 3;
+
+  physics.computeAccelerations(x, v, a);
+
+  for (let i = 0; i < n; i++) {
+    v[i] += a[i] * h;
+    x[i] += v[i] * h;
+  }
+}
+
+/**
+ * Velocity Verlet - second order, two force evaluations per step
+ */
+export function velocityVerlet(physics, h) {
+  const x = physics.positions;
+  const v = physics.velocities;
+  const a0 = physics.scratch('a1');
+  const a1 = physics.scratch('a2');
+  const vPredict = physics.scratch('v2');
+  const n = physics.count * 3;
+
+  physics.computeAccelerations(x, v, a0);
+
+  for (let i = 0; i < n; i++) {
+    x[i] += v[i] * h + 0.5 * a0[i] * h * h;
+    vPredict[i] = v[i] + a0[i] * h; // For velocity-dependent forces
+  }
+
+  physics.computeAccelerations(x, vPredict, a1);
+
+  for (let i = 0; i < n; i++) {
+    v[i] += 0.5 * (a0[i] + a1[i]) * h;
+  }
+}
+
+/**
+ * Classic fourth-order Runge-Kutta on (position, velocity)
+ */
+export function rk4(physics, h) {
+  const x = physics.positions;
+  const v = physics.velocities;
+  const xs = physics.scratch('x2');
+  const vs = physics.scratch('v2');
+  const k1 = physics.scratch('a1');
+  const k2 = physics.scratch('a2');
+  const k3 = physics.scratch('a3');
+  const k4 = physics.scratch('a4');
+  const v2 = physics.scratch('v3');
+  const v3 = physics.scratch('v4');
+  const n = physics.count * 3;
+  const half = h * 0.5;
+
+  // k1 at start
+  physics.computeAccelerations(x, v, k1);
+
+  // k2 at midpoint using k1
+  for (let i = 0; i < n; i++) {
+    xs[i] = x[i] + v[i] * half;
+    vs[i] = v[i] + k1[i] * half;
+    v2[i] = vs[i];
+  }
+  physics.computeAccelerations(xs, vs, k2);
+
+  // k3 at midpoint using k2
+  for (let i = 0; i < n; i++) {
+    xs[i] = x[i] + v2[i] * half;
+    vs[i] = v[i] + k2[i] * half;
+    v3[i] = vs[i];
+  }
+  physics.computeAccelerations(xs, vs, k3);
+
+  // k4 at end using k3
+  for (let i = 0; i < n; i++) {
+    xs[i] = x[i] + v3[i] * h;
+    vs[i] = v[i] + k3[i] * h;
+  }
+  physics.computeAccelerations(xs, vs, k4);
+
+  // Combine (vs holds the k4 velocity)
+  const sixth = h / 6;
+  for (let i = 0; i < n; i++) {
+    x[i] += (v[i] + 2 * v2[i] + 2 * v3[i] + vs[i]) * sixth;
+    v[i] += (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]) * sixth;
+  }
+}
+
+export const INTEGRATORS = {
+  euler: semiImplicitEuler,
+  verlet: velocityVerlet,
+  rk4
+};
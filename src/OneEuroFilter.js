@@ -0,0 +1,64 @@
+/**
+ * OneEuroFilter - Speed-adaptive low-pass filter (Casiez et al., CHI 2012)
+ * Smooths hard while the signal is slow (removes jitter) and lightly while
+ * it moves fast (removes lag). minCutoff sets the jitter floor, beta how
+ * quickly the cutoff opens up with speed.
+ */
+
+export class OneEuroFilter {
+  static defaults = {
+    minCutoff: 1.0, // Hz at rest
+    beta: 0.0, // Extra Hz per unit/s of speed
+    dCutoff: 1.0 // Hz for the speed estimate
+  };
+
+  constructor(params = {}) {
+    this.params = { ...OneEuroFilter.defaults, ...params };
+    this.reset();
+  }
+
+  setParams(params) {
+    Object.assign(this.params, params);
+  }
+
+  reset() {
+    this.value = null;
+    this.raw = 0; // Previous unfiltered sample
+    this.derivative = 0; // Smoothed rate of change, units per second
+    this.time = 0;
+  }
+
+  /**
+   * Blend factor of a first-order low-pass at this cutoff and step
+   */
+  static alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * @param {number} value - New sample
+   * @param {number} time - Sample time in seconds
+   * @returns {number} Filtered value
+   */
+  filter(value, time) {
+    if (this.value === null) {
+      this.value = value;
+      this.raw = value;
+      this.time = time;
+      return value;
+    }
+
+    const dt = time - this.time;
+    if (dt <= 0) return this.value; // Same frame delivered twice
+
+    const { minCutoff, beta, dCutoff } = this.params;
+    const rate = (value - this.raw) / dt;
+    this.derivative += OneEuroFilter.alpha(dCutoff, dt) * (rate - this.derivative);
+    const cutoff = minCutoff + beta * Math.abs(this.derivative);
+    this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+    this.raw = value;
+    this.time = time;
+    return this.value;
+  }
+}
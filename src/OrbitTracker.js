@@ -0,0 +1,156 @@
+/**
+ * OrbitTracker - Follows each particle's angle around its nearest well
+ * Unwrapped angle is accumulated every update; each full turn completes a
+ * revolution with its period and radial spread. Particles that keep turning
+ * on schedule count as stable orbits.
+ * Orbits are measured in the xy plane (the hand plane).
+ */
+
+const TWO_PI = Math.PI * 2;
+
+export class OrbitTracker {
+  /**
+   * @param {number} count - Particle count
+   * @param {Object} options
+   * @param {number} options.minTurns - Revolutions before an orbit counts as stable
+   * @param {number} options.maxPeriod - Seconds; slower turns are not orbits
+   * @param {number} options.minRadius - Closer than this the angle is too noisy
+   */
+  constructor(count, { minTurns = 2, maxPeriod = 4, minRadius = 0.05 } = {}) {
+    this.minTurns = minTurns;
+    this.maxPeriod = maxPeriod;
+    this.minRadius = minRadius;
+    this.resize(count);
+  }
+
+  /**
+   * Reallocate per-particle tracks; every particle starts untracked
+   */
+  resize(count) {
+    this.count = count;
+    this.well = new Int8Array(count).fill(-1); // Index of the well being circled, -1 = none
+    this.angle = new Float32Array(count); // Last angle around the well
+    this.swept = new Float32Array(count); // Signed angle since the last completed turn
+    this.turns = new Uint16Array(count); // Completed revolutions around the same well
+    this.turnStart = new Float64Array(count); // Simulated time the current turn began
+    this.period = new Float32Array(count); // Mean seconds per revolution
+    this.eccentricity = new Float32Array(count); // Of the last completed revolution
+    this.rMin = new Float32Array(count);
+    this.rMax = new Float32Array(count);
+  }
+
+  /**
+   * Forget every track (after a restore or a change in the wells)
+   */
+  reset() {
+    this.well.fill(-1);
+  }
+
+  /**
+   * Advance all tracks to the current state
+   * @param {Physics} physics
+   * @param {Array} wells - World-space wells ({ x, y }) as resolved by the wells field
+   */
+  update(physics, wells) {
+    if (physics.count !== this.count) this.resize(physics.count);
+    const pos = physics.positions;
+    const alive = physics.alive;
+    const time = physics.time;
+
+    for (let i = 0; i < this.count; i++) {
+      if (!alive[i] || wells.length === 0) {
+        this.well[i] = -1;
+        continue;
+      }
+
+      const x = pos[i * 3];
+      const y = pos[i * 3 + 1];
+      let nearest = -1;
+      let nearestDist = Infinity;
+      for (let w = 0; w < wells.length; w++) {
+        const dx = x - wells[w].x;
+        const dy = y - wells[w].y;
+        const dist = dx * dx + dy * dy;
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearest = w;
+        }
+      }
+
+      const r = Math.sqrt(nearestDist);
+      const angle = Math.atan2(y - wells[nearest].y, x - wells[nearest].x);
+
+      // New well (or just woke up): start a fresh track
+      if (this.well[i] !== nearest || r < this.minRadius) {
+        this.well[i] = r < this.minRadius ? -1 : nearest;
+        this.turns[i] = 0;
+        this.startTrack(i, angle, r, time);
+        continue;
+      }
+
+      let delta = angle - this.angle[i];
+      if (delta > Math.PI) delta -= TWO_PI;
+      else if (delta < -Math.PI) delta += TWO_PI;
+      this.angle[i] = angle;
+      this.swept[i] += delta;
+      if (r < this.rMin[i]) this.rMin[i] = r;
+      if (r > this.rMax[i]) this.rMax[i] = r;
+
+      const elapsed = time - this.turnStart[i];
+      if (Math.abs(this.swept[i]) >= TWO_PI) {
+        // Completed a revolution: fold its period into the running mean
+        const turns = ++this.turns[i];
+        this.period[i] += (elapsed - this.period[i]) / turns;
+        this.eccentricity[i] = (this.rMax[i] - this.rMin[i]) / (this.rMax[i] + this.rMin[i]);
+        const leftover = this.swept[i] - Math.sign(this.swept[i]) * TWO_PI;
+        this.startTrack(i, angle, r, time);
+        this.swept[i] = leftover;
+      } else if (elapsed > this.maxPeriod) {
+        // Stalled: whatever it was doing, it is not orbiting any more
+        this.turns[i] = 0;
+        this.startTrack(i, angle, r, time);
+      }
+    }
+  }
+
+  startTrack(i, angle, r, time) {
+    this.angle[i] = angle;
+    this.swept[i] = 0;
+    this.turnStart[i] = time;
+    this.rMin[i] = r;
+    this.rMax[i] = r;
+    if (this.turns[i] === 0) this.period[i] = 0;
+  }
+
+  /**
+   * Whether particle i is in a sustained orbit: enough turns, and the current
+   * turn is not overdue
+   */
+  isStable(i, time) {
+    return this.well[i] >= 0 &&
+      this.turns[i] >= this.minTurns &&
+      time - this.turnStart[i] < this.period[i] * 1.5;
+  }
+
+  /**
+   * Stable orbit statistics per well
+   * @returns {Array} [{ stable, period, eccentricity }] (means over stable particles)
+   */
+  summarize(physics, wellCount) {
+    const stats = Array.from({ length: wellCount }, () => ({ stable: 0, period: 0, eccentricity: 0 }));
+    for (let i = 0; i < this.count; i++) {
+      if (!this.isStable(i, physics.time)) continue;
+      const entry = stats[this.well[i]];
+      if (!entry) continue;
+      entry.stable++;
+      entry.period += this.period[i];
+      entry.eccentricity += this.eccentricity[i];
+    }
+    for (const entry of stats) {
+      if (entry.stable === 0) continue;
+      entry.period /= entry.stable;
+      entry.eccentricity /= entry.stable;
+    }
+    return stats;
+  }
+}
@@ -3,227 +3,663 @@
  * Uses typed arrays for maximum performance
  */
 
+import { createRandom, randomSeed } from './Random.js';
+import { INTEGRATORS } from './Integrators.js';
+import { createField } from './ForceFields.js';
+import { Boundary } from './Boundary.js';
+import { createEmitter } from './Emitters.js';
+import { createCollider } from './Colliders.js';
+import { SPECIES_PRESETS, normalizeSpecies, pickSpecies } from './Species.js';
+import { ConstraintSystem } from './Constraints.js';
+import { computeDiagnostics } from './Diagnostics.js';
+import { OrbitTracker } from './OrbitTracker.js';
+import { BlackHole } from './BlackHole.js';
+
+// Typed arrays captured in a snapshot, restored in place
+const STATE_ARRAYS = ['positions', 'velocities', 'masses', 'charges', 'speciesIds', 'ages', 'lifetimes', 'alive'];
+
+// Scalar settings captured in a snapshot
+const STATE_SCALARS = [
+  'time', 'accumulator', 'spawnCursor', 'G', 'drag', 'clampVelocity', 'maxVelocity', 'minDistance',
+  'fieldRadius', 'dimensions', 'depthExtent', 'integrator', 'fixedStep', 'maxSubsteps', 'chaosFactor', 'attractMode',
+  'fieldSerial', 'emitterSerial', 'colliderSerial'
+];
+
+/**
+ * Registry entry (field, emitter or collider) as plain data
+ */
+function describe(item) {
+  return {
+    type: item.type,
+    id: item.id,
+    enabled: item.enabled,
+    params: structuredClone(item.params),
+    state: item.getState?.() ?? null
+  };
+}
+
+function rebuild(create, entry) {
+  const item = create(entry.type, { ...entry.params, id: entry.id, enabled: entry.enabled });
+  if (entry.state) item.setState(entry.state);
+  return item;
+}
+
 export class Physics {
-  constructor(particleCount = 12000) {
+  constructor(particleCount = 12000, seed = randomSeed()) {
     this.count = particleCount;
     
+    // Seeded random source - same seed + same inputs = same trajectories
+    this.seed = seed >>> 0;
+    this.random = createRandom(this.seed);
+    
     // Particle state arrays (SOA for cache efficiency)
     this.positions = new Float32Array(particleCount * 3);
     this.velocities = new Float32Array(particleCount * 3);
-    this.accelerations = new Float32Array(particleCount * 3);
+    this.scratchArrays = {}; // Integrator work arrays
     
     // Per-particle properties
     this.masses = new Float32Array(particleCount);
-    this.lifetimes = new Float32Array(particleCount);
+    this.charges = new Float32Array(particleCount); // Well response sign (from species)
+    this.speciesIds = new Uint8Array(particleCount); // Index into this.species
+    this.ages = new Float32Array(particleCount); // Seconds since spawn
+    this.lifetimes = new Float32Array(particleCount); // Seconds to live, 0 = forever
+    this.alive = new Uint8Array(particleCount); // 0 = dormant, free for emitters
+    this.spawnCursor = 0; // Where the next free-slot search starts
+    
+    // Particle groups (see Species.js)
+    this.species = normalizeSpecies(SPECIES_PRESETS.single);
     
     // Physics constants
     this.G = 0.00015; // Gravitational constant (tuned for visual appeal)
-    this.drag = 0.995; // Velocity damping per frame
-    this.maxVelocity = 0.08; // Velocity clamp to prevent particle loss
+    this.drag = 0.74; // Fraction of velocity kept after one second
+    this.clampVelocity = true; // Safety net, not needed for stability
+    this.maxVelocity = 0.08; // Clamp speed (units per 1/60 s tick)
     this.minDistance = 0.05; // Softening to prevent singularities
     this.fieldRadius = 2.5; // Gravity influence radius
     
-    // Chaos mode
+    // Flat (2) or volumetric (3) world, see setDimensions()
+    this.dimensions = 2;
+    this.depthExtent = 1.2; // Half depth of the 3D volume; hand depth [-1, 1] maps onto it
+    
+    // Time stepping
+    this.integrator = 'euler'; // 'euler' | 'verlet' | 'rk4'
+    this.fixedStep = 1 / 120; // Seconds per physics step
+    this.maxSubsteps = 8; // Per update, beyond this the backlog is dropped
+    this.accumulator = 0;
+    this.time = 0; // Simulated seconds, drives time-evolving fields
+    
+    // Force field registry - evaluated in order
+    this.fields = [];
+    this.fieldSerial = 0;
+    this.inputs = { wells: [], handVelocities: [], pathPoints: [], now: 0, dt: 0 };
+    this.addField('wells', { id: 'wells' });
+    this.addField('path', { id: 'path' });
+    this.addField('curl', { id: 'chaos', enabled: false, scale: 2.0, speed: 0.8, strength: 0.00015 });
+    this.addField('curl', { id: 'ambient', enabled: false, idleOnly: true });
+    this.addField('selfGravity', { id: 'selfGravity', enabled: false });
+    this.addField('boids', { id: 'boids', enabled: false });
+    
+    // Chaos mode (drives the 'chaos' field)
     this.chaosMode = false;
     this.chaosFactor = 1.0;
     
     // Attract/Repel mode
     this.attractMode = true; // true = attract, false = repel
     
+    // World edge behaviour
+    this.boundary = new Boundary();
+    
+    // Solid obstacles
+    this.colliders = [];
+    this.colliderSerial = 0;
+    
+    // Ropes, nets and jelly blobs (position-based distance constraints)
+    this.constraints = new ConstraintSystem(particleCount);
+    
+    // Particle sources and sinks, updated after each step
+    this.emitters = [];
+    this.emitterSerial = 0;
+    
+    // Merged hands become a capturing black hole when enabled
+    this.blackHole = new BlackHole();
+    
+    // Energy, momentum and density statistics of the last update (see Diagnostics.js)
+    this.orbits = new OrbitTracker(particleCount);
+    this.diagnostics = null;
+    
     // Initialize particles
     this.initParticles();
   }
 
+  /**
+   * Restart the random stream and rebuild the starting field for a seed
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.random = createRandom(this.seed);
+    this.time = 0;
+    this.initParticles();
+  }
+
+  /**
+   * Scatter every particle into a fresh starting field
+   * Structures are dissolved first: their links would tear and their pins
+   * would drag scattered particles back to stale anchors. A black hole's
+   * captured mass belongs to the old field, so it is dropped as well.
+   */
   initParticles() {
+    this.constraints.clear();
+    this.blackHole.resetState();
     for (let i = 0; i < this.count; i++) {
-      const i3 = i * 3;
-      
-      // Spawn spread across visible area - center biased
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 1.5; // Closer to center for visibility
-      
-      this.positions[i3] = Math.cos(angle) * radius;
-      this.positions[i3 + 1] = Math.sin(angle) * radius * 0.8;
-      this.positions[i3 + 2] = 0; // Keep all particles at z=0 (in front of webcam at z=-2)
-      
-      // Slow random drift - particles stay spread out until hands interact
-      const driftSpeed = 0.001;
-      this.velocities[i3] = (Math.random() - 0.5) * driftSpeed;
-      this.velocities[i3 + 1] = (Math.random() - 0.5) * driftSpeed;
-      this.velocities[i3 + 2] = (Math.random() - 0.5) * 0.0002;
-      
-      // Random mass affects gravity response
-      this.masses[i] = 0.5 + Math.random() * 0.5;
-      
-      // Lifetime for subtle respawn effects
-      this.lifetimes[i] = Math.random();
+      this.initParticle(i);
+    }
+  }
+
+  /**
+   * Place particle i in the starting field
+   */
+  initParticle(i) {
+    const i3 = i * 3;
+    
+    // Spawn spread across visible area - center biased
+    const angle = this.random() * Math.PI * 2;
+    const radius = this.random() * 1.5; // Closer to center for visibility
+    
+    this.positions[i3] = Math.cos(angle) * radius;
+    this.positions[i3 + 1] = Math.sin(angle) * radius * 0.8;
+    this.positions[i3 + 2] = 0; // Keep all particles at z=0 (in front of webcam at z=-2)
+    
+    // Slow random drift - particles stay spread out until hands interact
+    const driftSpeed = 0.001;
+    this.velocities[i3] = (this.random() - 0.5) * driftSpeed;
+    this.velocities[i3 + 1] = (this.random() - 0.5) * driftSpeed;
+    this.velocities[i3 + 2] = (this.random() - 0.5) * 0.0002;
+    
+    // Species sets charge and mass, which scale the response to wells
+    this.assignSpecies(i, pickSpecies(this.species, this.random()));
+    
+    // Ambient particles live forever
+    this.ages[i] = 0;
+    this.lifetimes[i] = 0;
+    this.alive[i] = 1;
+    
+    // 3D: fill a slab in front of and behind the hand plane
+    if (this.dimensions === 3) {
+      this.positions[i3 + 2] = (this.random() * 2 - 1) * this.depthExtent * 0.8;
+    }
+  }
+
+  /**
+   * Grow or shrink the particle pool in place
+   * Existing particles keep their state; growing adds particles to the
+   * starting field, shrinking retires the highest indices (and dissolves any
+   * structure that used them). Fields, emitters and settings carry over.
+   */
+  resize(count) {
+    const old = this.count;
+    if (count === old) return;
+    
+    for (const key of STATE_ARRAYS) {
+      const stride = this[key].length / old;
+      const arr = new this[key].constructor(count * stride);
+      arr.set(this[key].subarray(0, Math.min(old, count) * stride));
+      this[key] = arr;
+    }
+    this.count = count;
+    this.constraints.resize(count);
+    this.orbits.resize(count);
+    this.spawnCursor %= count;
+    
+    for (let i = old; i < count; i++) {
+      this.initParticle(i);
+    }
+  }
+
+  /**
+   * Switch between the flat (2) and volumetric (3) world
+   * Going 3D spreads loose particles through the volume and closes it with
+   * front/back walls; going flat squashes everything back onto z = 0.
+   * Structure particles keep their z so their links do not tear.
+   */
+  setDimensions(dimensions) {
+    if (dimensions !== 2 && dimensions !== 3) {
+      throw new Error(`Unsupported dimensions: ${dimensions}`);
+    }
+    this.dimensions = dimensions;
+    this.boundary.setParams({ halfDepth: dimensions === 3 ? this.depthExtent : 0 });
+    
+    for (let i = 0; i < this.count; i++) {
+      if (this.constraints.members[i]) continue;
+      const iz = i * 3 + 2;
+      if (dimensions === 3) {
+        this.positions[iz] = (this.random() * 2 - 1) * this.depthExtent * 0.8;
+      } else {
+        this.positions[iz] = 0;
+        this.velocities[iz] = 0;
+      }
     }
   }
 
   /**
    * Main physics update - called every frame
-   * @param {Array} gravityWells - Array of { x, y, z, strength }
+   * Feeds real elapsed time into a fixed-timestep accumulator so the
+   * simulation looks the same at 30, 60 or 144 Hz
+   * @param {Array} gravityWells - Array of { x, y, z, strength, polarity, radius }
+   *                               (polarity/radius null = attractMode/fieldRadius,
+   *                               grab = carry nearby structure particles)
    * @param {Array} velocities - Hand velocities for slingshot
-   * @param {number} dt - Delta time (normalized to 60fps)
+   * @param {number} dt - Elapsed time in seconds
    * @param {Array} pathForces - Drawing path points for art mode
+   * @param {number} now - Timestamp (ms) used to age path points
    */
-  update(gravityWells = [], handVelocities = [], dt = 1, pathForces = []) {
-    const G = this.G * (this.chaosMode ? this.chaosFactor * 2 : 1);
-    const drag = this.drag;
-    const maxV = this.maxVelocity;
-    const minDist = this.minDistance;
-    const fieldR = this.fieldRadius;
-    
-    // Precompute well positions (convert from normalized to world space)
-    const wells = gravityWells.map((w, idx) => ({
-      x: w.x * 1.5, // Scale to match scene
-      y: w.y * 1.2,
-      z: w.z * 0.5,
-      strength: w.strength,
-      vx: handVelocities[idx]?.vx || 0,
-      vy: handVelocities[idx]?.vy || 0
-    }));
-
-    // Calculate merged gravity when hands are close
-    let mergedWell = null;
-    if (wells.length === 2) {
-      const dx = wells[0].x - wells[1].x;
-      const dy = wells[0].y - wells[1].y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      
-      if (dist < 0.5) {
-        // Merge into single stronger well
-        const mergeFactor = 1 - (dist / 0.5);
-        mergedWell = {
-          x: (wells[0].x + wells[1].x) / 2,
-          y: (wells[0].y + wells[1].y) / 2,
-          z: (wells[0].z + wells[1].z) / 2,
-          strength: (wells[0].strength + wells[1].strength) * (1 + mergeFactor * 0.5),
-          vx: (wells[0].vx + wells[1].vx) / 2,
-          vy: (wells[0].vy + wells[1].vy) / 2
-        };
-      }
+  update(gravityWells = [], handVelocities = [], dt = 1 / 60, pathForces = [], now = Date.now()) {
+    this.setInputs(gravityWells, handVelocities, pathForces, now, dt);
+    
+    this.accumulator += dt;
+    let steps = 0;
+    while (this.accumulator >= this.fixedStep && steps < this.maxSubsteps) {
+      this.step(this.fixedStep);
+      this.accumulator -= this.fixedStep;
+      steps++;
+    }
+    
+    // Too far behind (slow device, long stall) - drop the backlog instead of spiralling
+    if (steps === this.maxSubsteps) {
+      this.accumulator = Math.min(this.accumulator, this.fixedStep);
     }
+    
+    const wellsField = this.getField('wells');
+    this.orbits.update(this, wellsField?.enabled ? wellsField.wells : []);
+    this.diagnostics = computeDiagnostics(this);
+  }
 
-    // Update each particle
+  /**
+   * Store per-frame force inputs and let each field precompute from them
+   */
+  setInputs(gravityWells, handVelocities, pathForces, now, dt) {
+    this.inputs = { wells: gravityWells, handVelocities, pathPoints: pathForces, now, dt };
+    
+    for (const field of this.fields) {
+      if (field.enabled) field.prepare(this);
+    }
+  }
+
+  /**
+   * Advance one fixed step
+   * @param {number} seconds - Step length
+   */
+  step(seconds) {
+    const h = seconds * 60; // Forces are tuned in 1/60 s ticks
+    INTEGRATORS[this.integrator](this, h);
+    this.constraints.solve(this, h);
+    this.time += seconds;
+    
+    // Exponential drag: exact for any step length (per species)
+    const dampings = this.species.map(s => Math.pow(s.drag ?? this.drag, seconds));
+    const maxVelocities = this.species.map(s => s.maxVelocity ?? this.maxVelocity);
+    
     for (let i = 0; i < this.count; i++) {
+      if (!this.alive[i]) continue;
       const i3 = i * 3;
+      const damping = dampings[this.speciesIds[i]];
+      const maxV = maxVelocities[this.speciesIds[i]];
       
-      let ax = 0, ay = 0, az = 0;
+      this.velocities[i3] *= damping;
+      this.velocities[i3 + 1] *= damping;
+      this.velocities[i3 + 2] *= damping;
       
-      // Apply gravity from each well
-      const effectiveWells = mergedWell ? [mergedWell] : wells;
-      
-      for (const well of effectiveWells) {
-        const dx = well.x - this.positions[i3];
-        const dy = well.y - this.positions[i3 + 1];
-        const dz = well.z - this.positions[i3 + 2];
-        
-        const distSq = dx * dx + dy * dy + dz * dz;
-        const dist = Math.sqrt(distSq);
+      // Optional safety net against numerical blow-ups
+      if (this.clampVelocity) {
+        const vx = this.velocities[i3];
+        const vy = this.velocities[i3 + 1];
+        const vz = this.velocities[i3 + 2];
+        const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
         
-        if (dist < fieldR) {
-          // Softened inverse-square gravity
-          const softDist = Math.max(dist, minDist);
-          const force = (G * well.strength) / (softDist * softDist);
-          
-          // Normalize and apply force (negative for repulsion)
-          const invDist = 1 / dist;
-          const direction = this.attractMode ? 1 : -1;
-          ax += dx * invDist * force * direction;
-          ay += dy * invDist * force * direction;
-          az += dz * invDist * force * direction;
-          
-          // Slingshot effect: rapid hand movement adds velocity
-          const handSpeed = Math.sqrt(well.vx * well.vx + well.vy * well.vy);
-          if (handSpeed > 0.01 && dist < 0.5) {
-            const slingshotForce = handSpeed * 0.5 * (1 - dist / 0.5);
-            ax += well.vx * slingshotForce;
-            ay += well.vy * slingshotForce;
-          }
+        if (speed > maxV) {
+          const scale = maxV / speed;
+          this.velocities[i3] *= scale;
+          this.velocities[i3 + 1] *= scale;
+          this.velocities[i3 + 2] *= scale;
         }
       }
       
-      // NO central attraction when no hands - free floating
-      // Particles only respond to hand gestures
-      
-      // Apply path forces (drawing/art mode) - stronger attraction
-      if (pathForces.length > 0) {
-        const now = Date.now();
-        for (const point of pathForces) {
-          const age = (now - point.time) / 8000; // 8 second fade
-          if (age < 1) {
-            const strength = (1 - age) * 0.0005; // Stronger attraction
-            const dx = point.x - this.positions[i3];
-            const dy = point.y - this.positions[i3 + 1];
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dist < 0.6 && dist > 0.01) { // Larger attraction range
-              const force = strength / (dist + 0.03);
-              ax += (dx / dist) * force;
-              ay += (dy / dist) * force;
-            }
-          }
-        }
+      // Bounce off solid obstacles
+      for (const collider of this.colliders) {
+        if (collider.enabled) collider.resolve(this, i);
       }
       
-      // Add subtle turbulence in chaos mode
-      if (this.chaosMode) {
-        ax += (Math.random() - 0.5) * 0.0002;
-        ay += (Math.random() - 0.5) * 0.0002;
-      }
+      // Wrap, bounce, absorb or respawn particles that escape bounds
+      this.boundary.apply(this, i);
       
-      // Integrate velocity
-      this.velocities[i3] = (this.velocities[i3] + ax * dt) * drag;
-      this.velocities[i3 + 1] = (this.velocities[i3 + 1] + ay * dt) * drag;
-      this.velocities[i3 + 2] = (this.velocities[i3 + 2] + az * dt) * drag;
-      
-      // Clamp velocity
-      const vx = this.velocities[i3];
-      const vy = this.velocities[i3 + 1];
-      const vz = this.velocities[i3 + 2];
-      const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
-      
-      if (speed > maxV) {
-        const scale = maxV / speed;
-        this.velocities[i3] *= scale;
-        this.velocities[i3 + 1] *= scale;
-        this.velocities[i3 + 2] *= scale;
-      }
-      
-      // Integrate position
-      this.positions[i3] += this.velocities[i3] * dt;
-      this.positions[i3 + 1] += this.velocities[i3 + 1] * dt;
-      this.positions[i3 + 2] += this.velocities[i3 + 2] * dt;
-      
-      // Respawn particles that escape bounds
-      const px = this.positions[i3];
-      const py = this.positions[i3 + 1];
-      if (px * px + py * py > 16) { // Beyond radius 4
-        this.respawnParticle(i);
+      // Age out mortal particles
+      this.ages[i] += seconds;
+      if (this.lifetimes[i] > 0 && this.ages[i] >= this.lifetimes[i]) {
+        this.deactivateParticle(i);
       }
-      
-      // Update lifetime
-      this.lifetimes[i] = Math.min(1, this.lifetimes[i] + 0.001);
     }
+    
+    for (const emitter of this.emitters) {
+      if (emitter.enabled) emitter.update(this, seconds);
+    }
+    this.blackHole.update(this, seconds);
+  }
+
+  /**
+   * Evaluate accelerations for a given state (called by the integrators)
+   * @param {Float32Array} pos - Positions to evaluate at
+   * @param {Float32Array} vel - Velocities to evaluate at
+   * @param {Float32Array} out - Receives accelerations
+   */
+  computeAccelerations(pos, vel, out) {
+    out.fill(0, 0, this.count * 3);
+    
+    // NO central attraction when no hands - free floating
+    // Particles only respond to the registered fields
+    for (const field of this.fields) {
+      if (field.enabled) field.apply(this, pos, vel, out, 0, this.count);
+    }
+    
+    // Dormant particles stay put
+    for (let i = 0; i < this.count; i++) {
+      if (this.alive[i]) continue;
+      const i3 = i * 3;
+      out[i3] = 0;
+      out[i3 + 1] = 0;
+      out[i3 + 2] = 0;
+    }
+  }
+
+  /**
+   * Lazily allocated work array sized to the particle state
+   */
+  scratch(name) {
+    let arr = this.scratchArrays[name];
+    if (!arr || arr.length !== this.count * 3) {
+      arr = this.scratchArrays[name] = new Float32Array(this.count * 3);
+    }
+    return arr;
   }
 
   respawnParticle(i) {
     const i3 = i * 3;
+    const emitter = this.boundary.params.emitter;
     
-    // Respawn near center with slight randomness
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.1 + Math.random() * 0.3;
+    // Respawn around the boundary emitter with slight randomness
+    const angle = this.random() * Math.PI * 2;
+    const radius = emitter.minRadius + this.random() * (emitter.maxRadius - emitter.minRadius);
     
-    this.positions[i3] = Math.cos(angle) * radius;
-    this.positions[i3 + 1] = Math.sin(angle) * radius;
-    this.positions[i3 + 2] = (Math.random() - 0.5) * 0.1;
+    this.positions[i3] = emitter.x + Math.cos(angle) * radius;
+    this.positions[i3 + 1] = emitter.y + Math.sin(angle) * radius;
+    this.positions[i3 + 2] = (this.random() - 0.5) * (this.dimensions === 3 ? this.depthExtent : 0.1);
     
-    this.velocities[i3] = (Math.random() - 0.5) * 0.01;
-    this.velocities[i3 + 1] = (Math.random() - 0.5) * 0.01;
+    this.velocities[i3] = (this.random() - 0.5) * emitter.speed;
+    this.velocities[i3 + 1] = (this.random() - 0.5) * emitter.speed;
     this.velocities[i3 + 2] = 0;
     
+    this.ages[i] = 0;
     this.lifetimes[i] = 0;
+    this.alive[i] = 1;
+  }
+
+  /**
+   * Give particle i a species, drawing a fresh mass from its range
+   */
+  assignSpecies(i, s) {
+    const species = this.species[s];
+    this.speciesIds[i] = s;
+    this.charges[i] = species.charge;
+    this.masses[i] = species.massMin + this.random() * (species.massMax - species.massMin);
+  }
+
+  /**
+   * Replace the species list and redistribute every particle among it
+   * @param {Array} list - Species definitions (see Species.js)
+   */
+  setSpecies(list) {
+    this.species = normalizeSpecies(list);
+    for (let i = 0; i < this.count; i++) {
+      this.assignSpecies(i, pickSpecies(this.species, this.random()));
+    }
+  }
+
+  /**
+   * Index of a species by name, -1 if unknown
+   */
+  speciesIndex(name) {
+    return this.species.findIndex(s => s.name === name);
+  }
+
+  /**
+   * Bring a particle to life in a free pool slot. When the pool is full the
+   * slot at the cursor is recycled (skipping structure particles), so the
+   * oldest spawns give way first.
+   * @param {number} lifetime - Seconds to live, 0 = forever
+   * @param {number} species - Species index, -1 = pick by share
+   * @returns {number} Particle index
+   */
+  spawnParticle(x, y, z, vx, vy, vz, lifetime = 0, species = -1) {
+    let i = -1;
+    let recycle = -1;
+    for (let n = 0; n < this.count; n++) {
+      const candidate = (this.spawnCursor + n) % this.count;
+      if (!this.alive[candidate]) {
+        i = candidate;
+        break;
+      }
+      if (recycle < 0 && !this.constraints.members[candidate]) recycle = candidate;
+    }
+    if (i < 0) i = recycle >= 0 ? recycle : this.spawnCursor;
+    this.spawnCursor = (i + 1) % this.count;
+    
+    const i3 = i * 3;
+    this.positions[i3] = x;
+    this.positions[i3 + 1] = y;
+    this.positions[i3 + 2] = z;
+    this.velocities[i3] = vx;
+    this.velocities[i3 + 1] = vy;
+    this.velocities[i3 + 2] = vz;
+    this.ages[i] = 0;
+    this.lifetimes[i] = lifetime;
+    this.alive[i] = 1;
+    this.assignSpecies(i, species >= 0 ? species : pickSpecies(this.species, this.random()));
+    return i;
+  }
+
+  /**
+   * Put every particle to sleep (an empty pool for emitters to fill)
+   */
+  clearParticles() {
+    this.blackHole.resetState(); // Captured mass would otherwise jet back out
+    for (let i = 0; i < this.count; i++) {
+      this.deactivateParticle(i);
+    }
+  }
+
+  /**
+   * Register an emitter or sink by type, returns its id
+   * @param {string} type - Key in EMITTER_TYPES (point, ring, line, sink)
+   * @param {Object} params - Emitter parameters, optional id and enabled
+   */
+  addEmitter(type, params = {}) {
+    const id = params.id ?? `${type}-${++this.emitterSerial}`;
+    this.removeEmitter(id);
+    this.emitters.push(createEmitter(type, { ...params, id }));
+    return id;
+  }
+
+  removeEmitter(id) {
+    this.emitters = this.emitters.filter(e => e.id !== id);
+  }
+
+  getEmitter(id) {
+    return this.emitters.find(e => e.id === id);
+  }
+
+  setEmitter(id, params) {
+    this.getEmitter(id)?.setParams(params);
+  }
+
+  /**
+   * Put a particle to sleep: it stops moving and is not drawn
+   */
+  deactivateParticle(i) {
+    const i3 = i * 3;
+    this.alive[i] = 0;
+    this.velocities[i3] = 0;
+    this.velocities[i3 + 1] = 0;
+    this.velocities[i3 + 2] = 0;
+  }
+
+  /**
+   * Register a collider by type, returns its id
+   * @param {string} type - Key in COLLIDER_TYPES (circle, capsule, polyline)
+   * @param {Object} params - Shape, restitution and friction, optional id
+   */
+  addCollider(type, params = {}) {
+    const id = params.id ?? `${type}-${++this.colliderSerial}`;
+    this.removeCollider(id);
+    this.colliders.push(createCollider(type, { ...params, id }));
+    return id;
+  }
+
+  removeCollider(id) {
+    this.colliders = this.colliders.filter(c => c.id !== id);
+  }
+
+  clearColliders() {
+    this.colliders = [];
+  }
+
+  /**
+   * Build a rope, net or jelly blob from pool particles, returns its id
+   * @param {string} type - Key in STRUCTURE_TYPES (rope, net, jelly)
+   * @param {Object} params - Position, size, stiffness, tear ratio, optional id
+   */
+  addStructure(type, params = {}) {
+    return this.constraints.addStructure(this, type, params);
+  }
+
+  removeStructure(id) {
+    this.constraints.removeStructure(id);
+  }
+
+  clearStructures() {
+    this.constraints.clear();
+  }
+
+  /**
+   * Configure world edge shape and behaviour (see Boundary)
+   */
+  setBoundary(params) {
+    this.boundary.setParams(params);
+  }
+
+  /**
+   * Configure the merged-hands black hole (see BlackHole)
+   */
+  setBlackHole(params) {
+    this.blackHole.setParams(params);
+  }
+
+  /**
+   * Capture the complete simulation state (see Snapshot.js)
+   * Per-frame inputs are not included; they arrive with the next update.
+   * @returns {{ state: Object, arrays: Object }} JSON-safe state and typed arrays
+   */
+  serialize() {
+    const constraints = this.constraints.serialize();
+    const state = {
+      count: this.count,
+      seed: this.seed,
+      randomState: this.random.getState(),
+      species: structuredClone(this.species),
+      boundary: structuredClone(this.boundary.params),
+      blackHole: { params: { ...this.blackHole.params }, state: this.blackHole.getState() },
+      fields: this.fields.map(describe),
+      emitters: this.emitters.map(describe),
+      colliders: this.colliders.map(describe),
+      constraints: constraints.state
+    };
+    for (const key of STATE_SCALARS) state[key] = this[key];
+
+    const arrays = {};
+    for (const key of STATE_ARRAYS) arrays[key] = this[key].slice();
+    for (const [key, arr] of Object.entries(constraints.arrays)) arrays[`constraints.${key}`] = arr;
+
+    return { state, arrays };
+  }
+
+  /**
+   * Replace the simulation state with the output of serialize()
+   * The particle count must match; create a Physics of the right size first.
+   */
+  restore({ state, arrays }) {
+    if (state.count !== this.count) {
+      throw new Error(`Snapshot holds ${state.count} particles, simulation has ${this.count}`);
+    }
+    for (const key of STATE_ARRAYS) {
+      if (arrays[key]?.length !== this[key].length) {
+        throw new Error(`Snapshot array ${key} has the wrong length`);
+      }
+    }
+
+    for (const key of STATE_ARRAYS) this[key].set(arrays[key]);
+    for (const key of STATE_SCALARS) this[key] = state[key];
+
+    this.seed = state.seed >>> 0;
+    this.random = createRandom(this.seed);
+    this.random.setState(state.randomState);
+    this.species = normalizeSpecies(state.species);
+    this.boundary = new Boundary(state.boundary);
+    this.blackHole = new BlackHole(state.blackHole.params);
+    this.blackHole.setState(state.blackHole.state);
+    this.fields = state.fields.map(entry => rebuild(createField, entry));
+    this.emitters = state.emitters.map(entry => rebuild(createEmitter, entry));
+    this.colliders = state.colliders.map(entry => rebuild(createCollider, entry));
+
+    const constraintArrays = {};
+    for (const [key, arr] of Object.entries(arrays)) {
+      if (key.startsWith('constraints.')) constraintArrays[key.slice(12)] = arr;
+    }
+    this.constraints.restore({ state: state.constraints, arrays: constraintArrays });
+    this.orbits.reset();
+    this.inputs = { wells: [], handVelocities: [], pathPoints: [], now: 0, dt: 0 };
+  }
+
+  get chaosMode() {
+    return this.getField('chaos')?.enabled ?? false;
+  }
+
+  set chaosMode(enabled) {
+    const field = this.getField('chaos');
+    if (field) field.enabled = enabled;
+  }
+
+  /**
+   * Register a force field by type, returns its id
+   * @param {string} type - Key in FIELD_TYPES
+   * @param {Object} params - Field parameters, optional id and enabled
+   */
+  addField(type, params = {}) {
+    const id = params.id ?? `${type}-${++this.fieldSerial}`;
+    this.removeField(id);
+    this.fields.push(createField(type, { ...params, id }));
+    return id;
+  }
+
+  removeField(id) {
+    this.fields = this.fields.filter(f => f.id !== id);
+  }
+
+  getField(id) {
+    return this.fields.find(f => f.id === id);
+  }
+
+  /**
+   * Update parameters (or the enabled flag) of a registered field
+   */
+  setField(id, params) {
+    this.getField(id)?.setParams(params);
   }
 
   toggleChaosMode() {
@@ -244,6 +680,7 @@ export class Physics {
     console.log(`💥 Applying explosion at (${worldX.toFixed(2)}, ${worldY.toFixed(2)})`);
     
     for (let i = 0; i < this.count; i++) {
+      if (!this.alive[i]) continue;
       const i3 = i * 3;
       
       const dx = this.positions[i3] - worldX;
@@ -273,6 +710,7 @@ export class Physics {
     console.log(`🌀 Applying implosion at (${worldX.toFixed(2)}, ${worldY.toFixed(2)})`);
     
     for (let i = 0; i < this.count; i++) {
+      if (!this.alive[i]) continue;
       const i3 = i * 3;
       
       const dx = worldX - this.positions[i3];
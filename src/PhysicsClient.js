@@ -0,0 +1,430 @@
+/**
+ * PhysicsClient - Main-thread proxy for the physics worker
+ * Double-buffers frame state so rendering never waits on the simulation
+ */
+
+import { randomSeed } from './Random.js';
+import { SPECIES_PRESETS, normalizeSpecies } from './Species.js';
+
+// Values per particle in each frame array
+const FRAME_STRIDES = { positions: 3, velocities: 3, alive: 1, speciesIds: 1 };
+
+export class PhysicsClient {
+  constructor(particleCount = 12000, seed = randomSeed()) {
+    this.count = particleCount;
+    this.seed = seed >>> 0;
+
+    // Front buffer: last finished frame, read by renderer and game logic
+    this.positions = new Float32Array(particleCount * 3);
+    this.velocities = new Float32Array(particleCount * 3);
+    this.alive = new Uint8Array(particleCount);
+    this.speciesIds = new Uint8Array(particleCount);
+    this.links = new Int32Array(0); // Structure links as [a, b] index pairs
+    this.diagnostics = null; // Statistics of the front frame (see Diagnostics.js)
+    this.blackHole = null; // BlackHole.describe() of the front frame
+
+    // Back buffer: null while the worker holds it
+    this.back = null;
+    this.frameId = 0;
+    this.consumedFrameId = 0;
+
+    // Mirrored flags (worker is the source of truth)
+    this.chaosMode = false;
+    this.attractMode = true;
+    this.dimensions = 2;
+    this.species = normalizeSpecies(SPECIES_PRESETS.single);
+
+    // Ids for fields and emitters added from this side
+    this.fieldSerial = 0;
+    this.emitterSerial = 0;
+    this.colliderSerial = 0;
+    this.structureSerial = 0;
+
+    // Worker requests awaiting a reply (snapshot, restore)
+    this.requestSerial = 0;
+    this.pending = new Map(); // requestId -> { resolve, reject }
+
+    // Failures of fire-and-forget set/call messages: (error, source) => void
+    this.onError = null;
+
+    // Bumped by restore; frames stepped before it are stale
+    this.generation = 0;
+
+    // Simulated time not yet handed to the worker
+    this.pendingDt = 0;
+    this.maxPendingDt = 0.25; // Seconds; longer stalls are not caught up
+
+    this.worker = new Worker(new URL('./PhysicsWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.onMessage(e.data);
+    this.worker.onerror = (e) => console.error('Physics worker error:', e.message);
+
+    const frame = this.createFrame();
+    this.worker.postMessage({ type: 'init', count: particleCount, seed: this.seed, frame }, this.transferList(frame));
+  }
+
+  createFrame() {
+    return {
+      positions: new Float32Array(this.count * 3),
+      velocities: new Float32Array(this.count * 3),
+      alive: new Uint8Array(this.count),
+      speciesIds: new Uint8Array(this.count)
+    };
+  }
+
+  transferList(frame) {
+    return [frame.positions.buffer, frame.velocities.buffer, frame.alive.buffer, frame.speciesIds.buffer];
+  }
+
+  onMessage(msg) {
+    if (msg.type === 'links') {
+      this.links = msg.links;
+      return;
+    }
+    if (msg.type === 'reply') {
+      const request = this.pending.get(msg.requestId);
+      this.pending.delete(msg.requestId);
+      if (msg.error) request?.reject(new Error(msg.error));
+      else request?.resolve(msg.result);
+      return;
+    }
+    if (msg.type === 'error') {
+      const error = new Error(`Physics ${msg.source} failed: ${msg.error}`);
+      console.error(error.message);
+      this.onError?.(error, msg.source);
+      return;
+    }
+    if (msg.type !== 'frame') return;
+    
+    // Stepped before a resize or restore: recycle the buffers but do not show the frame
+    if (msg.alive.length !== this.count || msg.generation !== this.generation) {
+      this.back = {
+        positions: msg.positions,
+        velocities: msg.velocities,
+        alive: msg.alive,
+        speciesIds: msg.speciesIds
+      };
+      return;
+    }
+
+    // Swap: finished frame becomes front, old front is free for the next step
+    this.back = {
+      positions: this.positions,
+      velocities: this.velocities,
+      alive: this.alive,
+      speciesIds: this.speciesIds
+    };
+    this.positions = msg.positions;
+    this.velocities = msg.velocities;
+    this.alive = msg.alive;
+    this.speciesIds = msg.speciesIds;
+    this.diagnostics = msg.diagnostics;
+    this.blackHole = msg.blackHole;
+    this.frameId++;
+  }
+
+  /**
+   * Queue a simulation step. Never blocks: if the worker is still busy,
+   * inputs are latched and dt accumulates until it hands a buffer back.
+   * @param {Array} gravityWells - Array of { x, y, z, strength, polarity, radius }
+   * @param {Array} handVelocities - Hand velocities for slingshot
+   * @param {number} dt - Elapsed time in seconds
+   * @param {Array} pathPoints - Drawing path points for art mode
+   * @param {number} now - Game time (ms) the path point times are measured against
+   */
+  update(gravityWells = [], handVelocities = [], dt = 1 / 60, pathPoints = [], now = Date.now()) {
+    this.pendingDt = Math.min(this.pendingDt + dt, this.maxPendingDt);
+    if (!this.back) return;
+
+    const frame = this.back;
+    this.back = null;
+
+    this.worker.postMessage({
+      type: 'step',
+      generation: this.generation,
+      wells: gravityWells.map(w => ({
+        x: w.x,
+        y: w.y,
+        z: w.z,
+        strength: w.strength,
+        polarity: w.polarity ?? null,
+        radius: w.radius ?? null,
+        grab: w.grab ?? false
+      })),
+      handVelocities,
+      dt: this.pendingDt,
+      pathPoints: pathPoints.map(p => ({ x: p.x, y: p.y, time: p.time })),
+      now,
+      frame
+    }, this.transferList(frame));
+
+    this.pendingDt = 0;
+  }
+
+  /**
+   * Returns true once per newly arrived frame
+   */
+  consumeFrame() {
+    if (this.consumedFrameId === this.frameId) return false;
+    this.consumedFrameId = this.frameId;
+    return true;
+  }
+
+  /**
+   * Assign simulation parameters on the worker's Physics instance
+   */
+  set(props) {
+    if ('chaosMode' in props) this.chaosMode = props.chaosMode;
+    if ('attractMode' in props) this.attractMode = props.attractMode;
+    this.worker.postMessage({ type: 'set', props });
+  }
+
+  call(method, ...args) {
+    this.worker.postMessage({ type: 'call', method, args });
+  }
+
+  /**
+   * Post a message that the worker answers with a 'reply'
+   * @returns {Promise} Resolves with the reply's result
+   */
+  request(type, payload = {}, transfer = []) {
+    const requestId = ++this.requestSerial;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      this.worker.postMessage({ type, requestId, ...payload }, transfer);
+    });
+  }
+
+  /**
+   * Capture the worker's full simulation state (see Physics.serialize)
+   * Client-side id counters ride along so restored ids do not collide.
+   * @returns {Promise<{ state: Object, arrays: Object }>}
+   */
+  async requestSnapshot() {
+    const snapshot = await this.request('snapshot');
+    snapshot.state.client = {
+      fieldSerial: this.fieldSerial,
+      emitterSerial: this.emitterSerial,
+      colliderSerial: this.colliderSerial,
+      structureSerial: this.structureSerial
+    };
+    return snapshot;
+  }
+
+  /**
+   * Replace the worker's simulation with a snapshot (any particle count)
+   * Client state only changes once the worker accepts the snapshot; frames
+   * stepped before the restore (still in flight) are dropped when they land.
+   * @returns {Promise} Rejects if the snapshot is malformed or the worker cannot restore it
+   */
+  restore(snapshot) {
+    const { state, arrays } = snapshot;
+    for (const [name, stride] of Object.entries(FRAME_STRIDES)) {
+      if (arrays[name]?.length !== state.count * stride) {
+        return Promise.reject(new Error(`Snapshot ${name} does not hold ${state.count} particles`));
+      }
+    }
+
+    // The arrays are transferred to the worker, so keep copies for the front buffer
+    const front = {};
+    for (const name of Object.keys(FRAME_STRIDES)) front[name] = arrays[name].slice();
+
+    const transfer = Object.values(arrays).map(arr => arr.buffer);
+    return this.request('restore', { snapshot }, transfer).then(result => {
+      this.seed = state.seed >>> 0;
+      this.species = normalizeSpecies(state.species);
+      this.attractMode = state.attractMode;
+      this.dimensions = state.dimensions;
+      this.chaosMode = state.fields.find(f => f.id === 'chaos')?.enabled ?? false;
+      Object.assign(this, state.client);
+      this.generation++;
+      this.links = new Int32Array(0);
+      this.diagnostics = null;
+
+      this.count = state.count;
+      Object.assign(this, front);
+      this.frameId++;
+      return result;
+    });
+  }
+
+  /**
+   * Grow or shrink the particle pool in place (see Physics.resize)
+   * The front buffer keeps the surviving particles until the next frame;
+   * new ones stay hidden until the worker has placed them.
+   */
+  resize(count) {
+    if (count === this.count) return;
+    const keep = Math.min(count, this.count);
+    const resized = (old, stride = 1) => {
+      const arr = new old.constructor(count * stride);
+      arr.set(old.subarray(0, keep * stride));
+      return arr;
+    };
+    this.positions = resized(this.positions, 3);
+    this.velocities = resized(this.velocities, 3);
+    this.alive = resized(this.alive);
+    this.speciesIds = resized(this.speciesIds);
+    this.count = count;
+    this.links = new Int32Array(0); // Resent by the worker after the resize
+    this.diagnostics = null;
+    this.frameId++;
+    this.call('resize', count);
+  }
+
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.call('reseed', this.seed);
+  }
+
+  /**
+   * Replace the species list on the worker (see Species.js)
+   * @param {Array} list - Species definitions
+   */
+  setSpecies(list) {
+    this.species = normalizeSpecies(list);
+    this.call('setSpecies', list);
+  }
+
+  /**
+   * Index of a species by name, -1 if unknown
+   */
+  speciesIndex(name) {
+    return this.species.findIndex(s => s.name === name);
+  }
+
+  toggleChaosMode() {
+    this.chaosMode = !this.chaosMode;
+    this.set({ chaosMode: this.chaosMode, chaosFactor: this.chaosMode ? 3 : 1 });
+    return this.chaosMode;
+  }
+
+  /**
+   * Register a force field on the worker, returns its id synchronously
+   * @param {string} type - Key in FIELD_TYPES (wind, vortex, spring, dragZone...)
+   * @param {Object} params - Field parameters
+   */
+  addField(type, params = {}) {
+    const id = params.id ?? `${type}-client-${++this.fieldSerial}`;
+    this.call('addField', type, { ...params, id });
+    return id;
+  }
+
+  removeField(id) {
+    this.call('removeField', id);
+  }
+
+  setField(id, params) {
+    this.call('setField', id, params);
+  }
+
+  /**
+   * Register an emitter or sink on the worker, returns its id synchronously
+   * @param {string} type - Key in EMITTER_TYPES (point, ring, line, sink)
+   * @param {Object} params - Emitter parameters
+   */
+  addEmitter(type, params = {}) {
+    const id = params.id ?? `${type}-client-${++this.emitterSerial}`;
+    this.call('addEmitter', type, { ...params, id });
+    return id;
+  }
+
+  removeEmitter(id) {
+    this.call('removeEmitter', id);
+  }
+
+  setEmitter(id, params) {
+    this.call('setEmitter', id, params);
+  }
+
+  clearParticles() {
+    this.call('clearParticles');
+  }
+
+  /**
+   * Register a collider on the worker, returns its id synchronously
+   * @param {string} type - Key in COLLIDER_TYPES (circle, capsule, polyline)
+   * @param {Object} params - Shape, restitution and friction
+   */
+  addCollider(type, params = {}) {
+    const id = params.id ?? `${type}-client-${++this.colliderSerial}`;
+    this.call('addCollider', type, { ...params, id });
+    return id;
+  }
+
+  removeCollider(id) {
+    this.call('removeCollider', id);
+  }
+
+  clearColliders() {
+    this.call('clearColliders');
+  }
+
+  /**
+   * Build a rope, net or jelly blob on the worker, returns its id synchronously
+   * @param {string} type - Key in STRUCTURE_TYPES (rope, net, jelly)
+   * @param {Object} params - Position, size, stiffness and tear ratio
+   */
+  addStructure(type, params = {}) {
+    const id = params.id ?? `${type}-client-${++this.structureSerial}`;
+    this.call('addStructure', type, { ...params, id });
+    return id;
+  }
+
+  removeStructure(id) {
+    this.call('removeStructure', id);
+  }
+
+  clearStructures() {
+    this.call('clearStructures');
+  }
+
+  /**
+   * Switch between the flat (2) and volumetric (3) world
+   */
+  setDimensions(dimensions) {
+    this.dimensions = dimensions;
+    this.call('setDimensions', dimensions);
+  }
+
+  /**
+   * Configure world edge shape and mode (see Boundary)
+   */
+  setBoundary(params) {
+    this.call('setBoundary', params);
+  }
+
+  /**
+   * Configure the merged-hands black hole (see BlackHole)
+   */
+  setBlackHole(params) {
+    this.call('setBlackHole', params);
+  }
+
+  applyExplosion(x, y, strength = 1.0) {
+    this.call('applyExplosion', x, y, strength);
+  }
+
+  applyImplosion(x, y, strength = 1.0) {
+    this.call('applyImplosion', x, y, strength);
+  }
+
+  /**
+   * Get particle speeds from the front buffer for color modulation
+   */
+  getSpeeds() {
+    const speeds = new Float32Array(this.count);
+    for (let i = 0; i < this.count; i++) {
+      const i3 = i * 3;
+      speeds[i] = Math.sqrt(
+        this.velocities[i3] ** 2 +
+        this.velocities[i3 + 1] ** 2 +
+        this.velocities[i3 + 2] ** 2
+      );
+    }
+    return speeds;
+  }
+
+  dispose() {
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * PhysicsWorker - Runs the Physics simulation off the main thread
+ * Owns the particle state arrays and ships finished frames back as transferables
+ */
+
+import { Physics } from './Physics.js';
+
+let physics = null;
+let linksVersion = -1; // Constraint topology last sent to the main thread
+
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  switch (msg.type) {
+    case 'init':
+      physics = new Physics(msg.count, msg.seed);
+      linksVersion = -1;
+      postFrame(msg.frame, 0);
+      break;
+
+    case 'step':
+      // The frame always goes back, or the client would have no buffer to step with
+      try {
+        physics.update(msg.wells, msg.handVelocities, msg.dt, msg.pathPoints, msg.now);
+      } catch (err) {
+        self.postMessage({ type: 'error', source: 'step', error: err.message });
+      } finally {
+        postFrame(msg.frame, msg.generation);
+      }
+      break;
+
+    case 'set':
+      try {
+        Object.assign(physics, msg.props);
+      } catch (err) {
+        self.postMessage({ type: 'error', source: 'set', error: err.message });
+      }
+      break;
+
+    case 'call':
+      try {
+        physics[msg.method](...msg.args);
+      } catch (err) {
+        self.postMessage({ type: 'error', source: msg.method, error: err.message });
+      }
+      break;
+
+    case 'snapshot':
+      try {
+        const snapshot = physics.serialize();
+        const transfer = Object.values(snapshot.arrays).map(arr => arr.buffer);
+        self.postMessage({ type: 'reply', requestId: msg.requestId, result: snapshot }, transfer);
+      } catch (err) {
+        self.postMessage({ type: 'reply', requestId: msg.requestId, error: err.message });
+      }
+      break;
+
+    case 'restore':
+      try {
+        const restored = new Physics(msg.snapshot.state.count, msg.snapshot.state.seed);
+        restored.restore(msg.snapshot);
+        physics = restored;
+        linksVersion = -1;
+        self.postMessage({ type: 'reply', requestId: msg.requestId, result: true });
+      } catch (err) {
+        self.postMessage({ type: 'reply', requestId: msg.requestId, error: err.message });
+      }
+      break;
+  }
+};
+
+/**
+ * Copy current state into a frame buffer and transfer it back to the main thread
+ * Structure links are only sent when they change (built, torn or removed).
+ * Buffers sized for an old particle count are replaced.
+ * generation echoes the step's, so the client can drop frames from before a restore.
+ */
+function postFrame(frame, generation) {
+  if (frame.alive.length !== physics.count) {
+    frame = {
+      positions: new Float32Array(physics.count * 3),
+      velocities: new Float32Array(physics.count * 3),
+      alive: new Uint8Array(physics.count),
+      speciesIds: new Uint8Array(physics.count)
+    };
+  }
+
+  if (physics.constraints.version !== linksVersion) {
+    linksVersion = physics.constraints.version;
+    const links = physics.constraints.getLinks();
+    self.postMessage({ type: 'links', links }, [links.buffer]);
+  }
+
+  frame.positions.set(physics.positions);
+  frame.velocities.set(physics.velocities);
+  frame.alive.set(physics.alive);
+  frame.speciesIds.set(physics.speciesIds);
+
+  self.postMessage(
+    {
+      type: 'frame',
+      generation,
+      positions: frame.positions,
+      velocities: frame.velocities,
+      alive: frame.alive,
+      speciesIds: frame.speciesIds,
+      diagnostics: physics.diagnostics,
+      blackHole: physics.blackHole.describe()
+    },
+    [frame.positions.buffer, frame.velocities.buffer, frame.alive.buffer, frame.speciesIds.buffer]
+  );
+}
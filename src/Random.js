@@ -0,0 +1,55 @@
+/**
+ * Random - Seedable deterministic random source
+ * Same seed always yields the same sequence, on any thread
+ */
+
+/**
+ * Create a PRNG (mulberry32) returning floats in [0, 1)
+ * The stream position can be read and restored with getState()/setState()
+ * @param {number} seed - 32-bit unsigned integer seed
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  random.getState = () => state;
+  random.setState = (value) => {
+    state = value >>> 0;
+  };
+  return random;
+}
+
+/**
+ * Turn user input (number or any string) into a 32-bit seed
+ */
+export function parseSeed(value) {
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+  // FNV-1a hash for word seeds like "nebula"
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive an independent sub-seed so separate consumers don't share a stream
+ */
+export function deriveSeed(seed, salt) {
+  return parseSeed(`${seed >>> 0}:${salt}`);
+}
+
+/**
+ * Fresh seed for when none was requested
+ */
+export function randomSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
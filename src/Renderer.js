@@ -7,11 +7,14 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { createRandom, deriveSeed, randomSeed } from './Random.js';
 
 export class Renderer {
-    constructor(container, particleCount = 12000) {
+    constructor(container, particleCount = 12000, seed = randomSeed()) {
         this.container = container;
         this.particleCount = particleCount;
+        this.seed = seed >>> 0;
 
         // Three.js core
         this.scene = null;
@@ -27,6 +30,11 @@ export class Renderer {
         // Animation
         this.clock = new THREE.Clock();
 
+        // 3D mode: orbit camera and distance fog
+        this.mode3D = false;
+        this.controls = null;
+        this.homeDistance = 3; // Camera distance in the flat view
+
         this.init();
     }
 
@@ -39,7 +47,7 @@ export class Renderer {
 
         // Camera close for full-screen particle field
         this.camera = new THREE.PerspectiveCamera(60, width / height, 0.1, 100);
-        this.camera.position.z = 3;
+        this.camera.position.z = this.homeDistance;
 
         // Renderer with WebGL fallback
         try {
@@ -70,6 +78,14 @@ export class Renderer {
         // Post-processing with subtle bloom
         this.setupPostProcessing();
 
+        // Orbit camera, only active in 3D mode
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enabled = false;
+        this.controls.enableDamping = true;
+        this.controls.enablePan = false;
+        this.controls.minDistance = 1.5;
+        this.controls.maxDistance = 8;
+
         // Handle resize
         window.addEventListener('resize', () => this.onResize());
     }
@@ -82,7 +98,8 @@ export class Renderer {
         const positions = new Float32Array(this.particleCount * 3);
         this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
-        // Color attribute - vibrant rainbow butterfly colors
+        // Color attribute - vibrant rainbow butterfly colors (seeded, own stream)
+        const random = createRandom(deriveSeed(this.seed, 'colors'));
         const colors = new Float32Array(this.particleCount * 3);
         const butterflyHues = [
             0.0,   // Red
@@ -98,9 +115,9 @@ export class Renderer {
 
         for (let i = 0; i < this.particleCount; i++) {
             // Pick a random butterfly color
-            const hue = butterflyHues[Math.floor(Math.random() * butterflyHues.length)];
-            const sat = 0.85 + Math.random() * 0.15; // Very saturated
-            const light = 0.5 + Math.random() * 0.3;
+            const hue = butterflyHues[Math.floor(random() * butterflyHues.length)];
+            const sat = 0.85 + random() * 0.15; // Very saturated
+            const light = 0.5 + random() * 0.3;
             const color = new THREE.Color().setHSL(hue, sat, light);
             colors[i * 3] = color.r;
             colors[i * 3 + 1] = color.g;
@@ -178,7 +195,8 @@ export class Renderer {
             map: this.videoTexture,
             side: THREE.FrontSide,
             transparent: true,
-            opacity: 0.6 // Dim the video so particles pop
+            opacity: 0.6, // Dim the video so particles pop
+            fog: false // Stays a clear backdrop in 3D mode
         });
 
         this.webcamPlane = new THREE.Mesh(bgGeometry, bgMaterial);
@@ -211,28 +229,66 @@ export class Renderer {
 
     /**
      * Update particle positions from physics simulation
+     * Only live particles are drawn: they are packed to the front of the buffer
+     * and liveIndices maps draw slots back to particle indices
      */
-    updatePositions(positions) {
+    updatePositions(positions, alive = null) {
         const posAttr = this.geometry.attributes.position;
-        posAttr.array.set(positions);
+
+        if (!alive) {
+            posAttr.array.set(positions);
+            this.liveIndices = null;
+            this.liveCount = this.particleCount;
+        } else {
+            if (!this.liveIndices || this.liveIndices.length !== this.particleCount) {
+                this.liveIndices = new Uint32Array(this.particleCount);
+            }
+            const out = posAttr.array;
+            let live = 0;
+            for (let i = 0; i < this.particleCount; i++) {
+                if (!alive[i]) continue;
+                out[live * 3] = positions[i * 3];
+                out[live * 3 + 1] = positions[i * 3 + 1];
+                out[live * 3 + 2] = positions[i * 3 + 2];
+                this.liveIndices[live++] = i;
+            }
+            this.liveCount = live;
+        }
+
+        this.geometry.setDrawRange(0, this.liveCount);
         posAttr.needsUpdate = true;
     }
 
+    /**
+     * Set the species list used to colour particles (see Species.js)
+     */
+    setSpecies(species) {
+        this.species = species;
+    }
+
     /**
      * Update particle colors based on velocity/speed
+     * Particles of a species with its own colour keep that hue and brighten with speed
      */
-    updateColors(speeds, gravityWells = []) {
+    updateColors(speeds, gravityWells = [], speciesIds = null) {
         const colors = this.geometry.attributes.color.array;
         const maxSpeed = 0.05;
+        const count = this.liveCount ?? this.particleCount;
 
-        for (let i = 0; i < this.particleCount; i++) {
+        for (let slot = 0; slot < count; slot++) {
+            const i = this.liveIndices ? this.liveIndices[slot] : slot;
             const speed = speeds[i];
             const t = Math.min(speed / maxSpeed, 1);
+            const speciesColor = speciesIds && this.species ? this.species[speciesIds[i]]?.color : null;
 
             // Gradient from cyan to white to pink based on speed
             let hue, sat, light;
 
-            if (gravityWells.length === 0) {
+            if (speciesColor) {
+                hue = speciesColor.h;
+                sat = speciesColor.s;
+                light = speciesColor.l + t * 0.35;
+            } else if (gravityWells.length === 0) {
                 // Ambient: cool blue-cyan
                 hue = 0.55 - t * 0.1;
                 sat = 0.7;
@@ -250,9 +306,9 @@ export class Renderer {
             }
 
             const color = new THREE.Color().setHSL(hue, sat, light);
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
+            colors[slot * 3] = color.r;
+            colors[slot * 3 + 1] = color.g;
+            colors[slot * 3 + 2] = color.b;
         }
 
         this.geometry.attributes.color.needsUpdate = true;
@@ -269,8 +325,9 @@ export class Renderer {
 
     /**
      * Update path trail for drawing/art mode
+     * @param {number} now - Current game time in ms (points fade against it)
      */
-    updatePathTrail(pathPoints, artColors) {
+    updatePathTrail(pathPoints, artColors, now = Date.now()) {
         // Create trail geometry if not exists
         if (!this.trailGeometry) {
             this.trailGeometry = new THREE.BufferGeometry();
@@ -299,7 +356,6 @@ export class Renderer {
 
         const positions = this.trailGeometry.attributes.position.array;
         const colors = this.trailGeometry.attributes.color.array;
-        const now = Date.now();
 
         // Update trail positions
         for (let i = 0; i < 600; i++) {
@@ -332,6 +388,233 @@ export class Renderer {
         this.trailGeometry.setDrawRange(0, Math.min(pathPoints.length, 600));
     }
 
+    /**
+     * Rebuild the outlines of solid obstacles
+     * @param {Array} colliders - [{ type: 'circle'|'capsule'|'polyline', params }]
+     */
+    updateColliders(colliders) {
+        if (!this.colliderGroup) {
+            this.colliderGroup = new THREE.Group();
+            this.colliderMaterial = new THREE.LineBasicMaterial({
+                color: 0x66ccff,
+                transparent: true,
+                opacity: 0.85
+            });
+            this.scene.add(this.colliderGroup);
+        }
+
+        for (const child of this.colliderGroup.children) {
+            child.geometry.dispose();
+        }
+        this.colliderGroup.clear();
+
+        for (const { type, params } of colliders) {
+            const points = this.colliderOutline(type, params);
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const line = type === 'polyline'
+                ? new THREE.Line(geometry, this.colliderMaterial)
+                : new THREE.LineLoop(geometry, this.colliderMaterial);
+            this.colliderGroup.add(line);
+        }
+    }
+
+    /**
+     * Draw structure links (ropes, nets, jelly) between particle positions
+     * @param {Float32Array} positions - Particle positions
+     * @param {Int32Array} links - Flat [a0, b0, a1, b1, ...] index pairs
+     */
+    updateLinks(positions, links) {
+        const segments = links.length / 2;
+
+        if (!this.linkLines || this.linkCapacity < segments) {
+            if (this.linkLines) {
+                this.scene.remove(this.linkLines);
+                this.linkLines.geometry.dispose();
+            }
+            this.linkCapacity = Math.max(256, segments * 2);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.linkCapacity * 6), 3));
+            this.linkMaterial = this.linkMaterial || new THREE.LineBasicMaterial({
+                color: 0xaaddff,
+                transparent: true,
+                opacity: 0.45
+            });
+            this.linkLines = new THREE.LineSegments(geometry, this.linkMaterial);
+            this.scene.add(this.linkLines);
+        }
+
+        const out = this.linkLines.geometry.attributes.position.array;
+        for (let k = 0; k < links.length; k++) {
+            const i3 = links[k] * 3;
+            out[k * 3] = positions[i3];
+            out[k * 3 + 1] = positions[i3 + 1];
+            out[k * 3 + 2] = positions[i3 + 2];
+        }
+
+        this.linkLines.geometry.setDrawRange(0, links.length);
+        this.linkLines.geometry.attributes.position.needsUpdate = true;
+    }
+
+    /**
+     * Draw the merged-hands black hole: a dark horizon with a glowing photon
+     * ring, a spinning accretion disk, and twin jets while it releases
+     * @param {Object|null} hole - BlackHole.describe() from the physics worker
+     */
+    updateBlackHole(hole) {
+        const visible = hole && (hole.active || hole.releasing);
+        if (!visible) {
+            if (this.blackHoleGroup) this.blackHoleGroup.visible = false;
+            return;
+        }
+
+        if (!this.blackHoleGroup) {
+            this.blackHoleGroup = new THREE.Group();
+
+            // Horizon: unit disc scaled to the radius, drawn over the webcam
+            this.horizonMesh = new THREE.Mesh(
+                new THREE.CircleGeometry(1, 48),
+                new THREE.MeshBasicMaterial({ color: 0x000000, fog: false })
+            );
+            this.photonRing = new THREE.Mesh(
+                new THREE.RingGeometry(1, 1.18, 64),
+                new THREE.MeshBasicMaterial({
+                    color: 0xffcc88,
+                    transparent: true,
+                    blending: THREE.AdditiveBlending,
+                    depthWrite: false
+                })
+            );
+
+            // Disk: radial gradient, hot inner edge fading out
+            const size = 128;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
+            const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+            gradient.addColorStop(0, 'rgba(0,0,0,0)');
+            gradient.addColorStop(0.3, 'rgba(255,240,200,0.9)');
+            gradient.addColorStop(0.5, 'rgba(255,140,40,0.55)');
+            gradient.addColorStop(0.8, 'rgba(180,40,120,0.2)');
+            gradient.addColorStop(1, 'rgba(0,0,0,0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, size, size);
+            // Streaks so the rotation reads
+            ctx.globalCompositeOperation = 'destination-out';
+            for (let k = 0; k < 12; k++) {
+                ctx.beginPath();
+                ctx.moveTo(size / 2, size / 2);
+                ctx.arc(size / 2, size / 2, size / 2, k * Math.PI / 6, k * Math.PI / 6 + 0.12);
+                ctx.fillStyle = 'rgba(0,0,0,0.5)';
+                ctx.fill();
+            }
+            this.diskMesh = new THREE.Mesh(
+                new THREE.PlaneGeometry(2, 2),
+                new THREE.MeshBasicMaterial({
+                    map: new THREE.CanvasTexture(canvas),
+                    transparent: true,
+                    blending: THREE.AdditiveBlending,
+                    depthWrite: false
+                })
+            );
+
+            // Jets: a tapered beam out of each pole along +x (rotated onto the axis)
+            const jetMaterial = new THREE.MeshBasicMaterial({
+                color: 0x88ccff,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            });
+            const jetShape = new THREE.Shape();
+            jetShape.moveTo(0, -0.5);
+            jetShape.lineTo(1, -0.08);
+            jetShape.lineTo(1, 0.08);
+            jetShape.lineTo(0, 0.5);
+            this.jetMesh = new THREE.Group();
+            for (const side of [0, Math.PI]) {
+                const jet = new THREE.Mesh(new THREE.ShapeGeometry(jetShape), jetMaterial);
+                jet.rotation.z = side;
+                this.jetMesh.add(jet);
+            }
+
+            this.blackHoleGroup.add(this.diskMesh, this.jetMesh, this.horizonMesh, this.photonRing);
+            this.diskMesh.renderOrder = 1;
+            this.horizonMesh.renderOrder = 2;
+            this.photonRing.renderOrder = 3;
+            this.scene.add(this.blackHoleGroup);
+        }
+
+        const time = performance.now() / 1000;
+        this.blackHoleGroup.visible = true;
+        this.blackHoleGroup.position.set(hole.x, hole.y, hole.z);
+
+        this.horizonMesh.visible = hole.active;
+        this.photonRing.visible = hole.active;
+        this.diskMesh.visible = hole.active;
+        this.horizonMesh.scale.setScalar(hole.horizon);
+        this.photonRing.scale.setScalar(hole.horizon);
+        this.photonRing.material.opacity = 0.6 + 0.3 * Math.sin(time * 6);
+        this.diskMesh.scale.setScalar(hole.diskRadius);
+        this.diskMesh.rotation.z = time * 1.5;
+        this.diskMesh.material.opacity = Math.min(1, 0.35 + hole.captured / 400);
+
+        // Jets shrink as the captured mass runs out
+        this.jetMesh.visible = hole.releasing;
+        if (hole.releasing) {
+            const length = 0.6 + Math.min(1.4, hole.captured / 150);
+            this.jetMesh.rotation.z = hole.axis;
+            this.jetMesh.scale.set(length, hole.horizon * 2, 1);
+            this.jetMesh.children[0].material.opacity = 0.5 + 0.4 * Math.sin(time * 30);
+        }
+    }
+
+    /**
+     * Outline points for a collider (closed loop, or the centre line of a polyline)
+     */
+    colliderOutline(type, params) {
+        const segments = 48;
+
+        if (type === 'circle') {
+            const points = [];
+            for (let i = 0; i < segments; i++) {
+                const a = (i / segments) * Math.PI * 2;
+                points.push(new THREE.Vector3(
+                    params.x + Math.cos(a) * params.radius,
+                    params.y + Math.sin(a) * params.radius,
+                    0
+                ));
+            }
+            return points;
+        }
+
+        if (type === 'capsule') {
+            // Two half circles joined by straight sides
+            const angle = Math.atan2(params.y2 - params.y, params.x2 - params.x);
+            const points = [];
+            const half = segments / 2;
+            for (let i = 0; i <= half; i++) {
+                const a = angle + Math.PI / 2 + (i / half) * Math.PI;
+                points.push(new THREE.Vector3(
+                    params.x + Math.cos(a) * params.radius,
+                    params.y + Math.sin(a) * params.radius,
+                    0
+                ));
+            }
+            for (let i = 0; i <= half; i++) {
+                const a = angle - Math.PI / 2 + (i / half) * Math.PI;
+                points.push(new THREE.Vector3(
+                    params.x2 + Math.cos(a) * params.radius,
+                    params.y2 + Math.sin(a) * params.radius,
+                    0
+                ));
+            }
+            return points;
+        }
+
+        return params.points.map(p => new THREE.Vector3(p.x, p.y, 0));
+    }
+
     /**
      * Update finger cursors for visual feedback during drawing
      * Now supports multiple fingers!
@@ -377,7 +660,67 @@ export class Renderer {
         }
     }
 
+    /**
+     * Switch between the fixed flat view and the orbitable 3D view
+     * Depth reads through size attenuation plus exponential fog.
+     */
+    setMode3D(enabled) {
+        this.mode3D = enabled;
+        this.scene.fog = enabled ? new THREE.FogExp2(0x000000, 0.22) : null;
+        this.material.needsUpdate = true;
+        if (this.trailMaterial) this.trailMaterial.needsUpdate = true;
+        if (this.linkMaterial) this.linkMaterial.needsUpdate = true;
+
+        if (this.controls) {
+            this.controls.enabled = enabled;
+            if (!enabled) {
+                // Back to the straight-on view
+                this.controls.target.set(0, 0, 0);
+                this.camera.position.set(0, 0, this.homeDistance);
+                this.camera.lookAt(0, 0, 0);
+            }
+        }
+    }
+
+    /**
+     * Allow mouse orbiting (in 3D mode) - off while the mouse draws
+     */
+    setOrbitEnabled(enabled) {
+        if (this.controls) this.controls.enabled = this.mode3D && enabled;
+    }
+
+    /**
+     * Rotate the camera around its target (two-hand orbit gesture)
+     * @param {number} dTheta - Radians around the vertical axis
+     * @param {number} dPhi - Radians toward the poles
+     */
+    orbitBy(dTheta, dPhi) {
+        if (!this.mode3D || !this.controls) return;
+        const target = this.controls.target;
+        const offset = this.camera.position.clone().sub(target);
+        const spherical = new THREE.Spherical().setFromVector3(offset);
+        spherical.theta += dTheta;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + dPhi, 0.1, Math.PI - 0.1);
+        offset.setFromSpherical(spherical);
+        this.camera.position.copy(target).add(offset);
+        this.camera.lookAt(target);
+    }
+
+    setWebcamVisible(visible) {
+        if (this.webcamPlane) this.webcamPlane.visible = visible;
+    }
+
+    /**
+     * Visible half extents of the z=0 plane (where particles live) in the flat view
+     */
+    getViewExtents() {
+        const halfHeight = this.homeDistance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        return { halfWidth: halfHeight * this.camera.aspect, halfHeight };
+    }
+
     render() {
+        if (this.mode3D) this.controls.update(); // Damping
+
         // Use composer for bloom effect
         this.composer.render();
     }
@@ -402,22 +745,24 @@ export class Renderer {
         }
     }
 
-    reinitParticles(count) {
+    reinitParticles(count, seed = this.seed) {
         // Remove old particles
         this.scene.remove(this.particles);
         this.geometry.dispose();
 
         // Create new geometry
         this.particleCount = count;
+        this.seed = seed >>> 0;
         this.geometry = new THREE.BufferGeometry();
 
         const positions = new Float32Array(count * 3);
         const colors = new Float32Array(count * 3);
 
         // Butterfly rainbow colors
+        const random = createRandom(deriveSeed(this.seed, 'colors'));
         const butterflyHues = [0.0, 0.05, 0.12, 0.3, 0.55, 0.65, 0.75, 0.85, 0.95];
         for (let i = 0; i < count; i++) {
-            const hue = butterflyHues[Math.floor(Math.random() * butterflyHues.length)];
+            const hue = butterflyHues[Math.floor(random() * butterflyHues.length)];
             const color = new THREE.Color().setHSL(hue, 0.9, 0.6);
             colors[i * 3] = color.r;
             colors[i * 3 + 1] = color.g;
@@ -429,6 +774,47 @@ export class Renderer {
 
         this.particles = new THREE.Points(this.geometry, this.material);
         this.scene.add(this.particles);
+        this.liveIndices = null;
+        this.liveCount = count;
+    }
+
+    /**
+     * Grow or shrink the particle buffers in place
+     * Surviving particles keep their colours; the Points object and material
+     * are reused, only the geometry is swapped.
+     */
+    resizeParticles(count) {
+        if (count === this.particleCount) return;
+        const keep = Math.min(count, this.particleCount);
+        const oldGeometry = this.geometry;
+        const geometry = new THREE.BufferGeometry();
+
+        const positions = new Float32Array(count * 3);
+        positions.set(oldGeometry.attributes.position.array.subarray(0, keep * 3));
+        const colors = new Float32Array(count * 3);
+        colors.set(oldGeometry.attributes.color.array.subarray(0, keep * 3));
+
+        // New particles draw colours from a seeded stream of their own
+        const random = createRandom(deriveSeed(this.seed, `colors-${count}`));
+        const butterflyHues = [0.0, 0.05, 0.12, 0.3, 0.55, 0.65, 0.75, 0.85, 0.95];
+        for (let i = keep; i < count; i++) {
+            const hue = butterflyHues[Math.floor(random() * butterflyHues.length)];
+            const color = new THREE.Color().setHSL(hue, 0.9, 0.6);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setDrawRange(0, Math.min(this.liveCount ?? keep, keep));
+
+        this.particles.geometry = geometry;
+        this.geometry = geometry;
+        oldGeometry.dispose();
+        this.particleCount = count;
+        this.liveIndices = null;
+        this.liveCount = Math.min(this.liveCount ?? keep, keep);
     }
 
     showWebGLError() {
@@ -0,0 +1,54 @@
+/**
+ * RewindBuffer - Ring of recent Physics snapshots for scrubbing backwards
+ * Holds one snapshot per interval of simulated time over the last few seconds;
+ * rewinding pops them newest first.
+ */
+
+export class RewindBuffer {
+  /**
+   * @param {number} seconds - How far back rewinding can go
+   * @param {number} interval - Simulated seconds between captures
+   */
+  constructor(seconds = 10, interval = 0.25) {
+    this.interval = interval;
+    this.capacity = Math.ceil(seconds / interval);
+    this.entries = []; // [{ time, snapshot }], oldest first
+    this.lastCapture = -Infinity;
+  }
+
+  /**
+   * Whether enough simulated time has passed for another capture
+   * @param {number} time - Simulated ms
+   */
+  isDue(time) {
+    return time - this.lastCapture >= this.interval * 1000 || time < this.lastCapture;
+  }
+
+  push(time, snapshot) {
+    this.entries.push({ time, snapshot });
+    if (this.entries.length > this.capacity) this.entries.shift();
+    this.lastCapture = time;
+  }
+
+  /**
+   * Remove and return the newest entry, null when empty
+   */
+  pop() {
+    const entry = this.entries.pop() ?? null;
+    this.lastCapture = this.entries.length > 0 ? this.entries[this.entries.length - 1].time : -Infinity;
+    return entry;
+  }
+
+  /**
+   * Seconds of history available
+   */
+  get duration() {
+    if (this.entries.length === 0) return 0;
+    return (this.entries[this.entries.length - 1].time - this.entries[0].time) / 1000;
+  }
+
+  clear() {
+    this.entries = [];
+    this.lastCapture = -Infinity;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Snapshot - Versioned binary format for saved simulations
+ *
+ * Layout (little endian):
+ *   0   'GSNP' magic
+ *   4   u16 format version
+ *   6   u16 reserved (0)
+ *   8   u32 header length in bytes
+ *   12  UTF-8 JSON header
+ *   ... typed array sections, each starting on an 8-byte boundary
+ *
+ * The header holds the JSON state plus a section table
+ * [{ name, type, offset, length }] where offset is from the start of the blob.
+ */
+
+export const SNAPSHOT_VERSION = 3;
+export const SNAPSHOT_EXTENSION = '.gsnap';
+
+const MAGIC = 'GSNP';
+const PREAMBLE_BYTES = 12;
+
+const ARRAY_TYPES = {
+  Float32Array,
+  Float64Array,
+  Int32Array,
+  Uint8Array
+};
+
+/**
+ * Upgrades from one format version to the next, keyed by the old version.
+ * Each takes { header, arrays } and returns it in the following version's shape.
+ * Add an entry here whenever SNAPSHOT_VERSION is bumped.
+ */
+const MIGRATIONS = {
+  // v2: 3D mode - flat world, no depth walls
+  1: ({ header, arrays }) => {
+    const physics = header.state.physics;
+    if (physics) {
+      physics.dimensions = 2;
+      physics.depthExtent = 1.2;
+      physics.boundary = { ...physics.boundary, halfDepth: 0 };
+    }
+    if (header.state.params) {
+      header.state.params = { mode3D: false, ...header.state.params };
+    }
+    return { header, arrays };
+  },
+
+  // v3: merged-hands black hole - off, nothing captured
+  2: ({ header, arrays }) => {
+    const physics = header.state.physics;
+    if (physics) {
+      physics.blackHole = {
+        params: { enabled: false },
+        state: {
+          active: false, x: 0, y: 0, z: 0, captured: [], mass: 0,
+          releasing: false, axis: 0, carry: 0, jetSide: 0, idle: 0
+        }
+      };
+    }
+    if (header.state.params) {
+      header.state.params = { blackHole: false, ...header.state.params };
+    }
+    return { header, arrays };
+  }
+};
+
+/**
+ * Thrown for blobs that cannot be read
+ * code: 'bad-magic' | 'truncated' | 'bad-header' | 'too-new' | 'no-migration'
+ */
+export class SnapshotError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.code = code;
+  }
+}
+
+const align8 = (n) => (n + 7) & ~7;
+
+/**
+ * Pack JSON state and typed arrays into one blob
+ * @param {Object} state - JSON-safe data
+ * @param {Object} arrays - Name -> typed array
+ * @returns {ArrayBuffer}
+ */
+export function encodeSnapshot(state, arrays = {}) {
+  // Offsets depend on the header length, which depends on the offsets;
+  // lay out relative offsets first, then shift them past the header
+  const sections = [];
+  let dataBytes = 0;
+  for (const [name, arr] of Object.entries(arrays)) {
+    const type = arr.constructor.name;
+    if (!ARRAY_TYPES[type]) {
+      throw new Error(`Unsupported snapshot array type: ${type}`);
+    }
+    sections.push({ name, type, offset: dataBytes, length: arr.length });
+    dataBytes = align8(dataBytes + arr.byteLength);
+  }
+
+  const encoder = new TextEncoder();
+  let headerBytes;
+  let dataStart = 0;
+  for (;;) {
+    const header = {
+      state,
+      sections: sections.map(s => ({ ...s, offset: s.offset + dataStart }))
+    };
+    headerBytes = encoder.encode(JSON.stringify(header));
+    const start = align8(PREAMBLE_BYTES + headerBytes.length);
+    if (start === dataStart) break;
+    dataStart = start;
+  }
+
+  const buffer = new ArrayBuffer(dataStart + dataBytes);
+  const view = new DataView(buffer);
+  for (let k = 0; k < 4; k++) view.setUint8(k, MAGIC.charCodeAt(k));
+  view.setUint16(4, SNAPSHOT_VERSION, true);
+  view.setUint16(6, 0, true);
+  view.setUint32(8, headerBytes.length, true);
+  new Uint8Array(buffer, PREAMBLE_BYTES, headerBytes.length).set(headerBytes);
+
+  const bytes = new Uint8Array(buffer);
+  for (const section of sections) {
+    const arr = arrays[section.name];
+    bytes.set(new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength), dataStart + section.offset);
+  }
+  return buffer;
+}
+
+/**
+ * Unpack a blob, migrating older versions to the current one
+ * @param {ArrayBuffer} buffer
+ * @returns {{ version: number, state: Object, arrays: Object }}
+ * @throws {SnapshotError}
+ */
+export function decodeSnapshot(buffer) {
+  if (buffer.byteLength < PREAMBLE_BYTES) {
+    throw new SnapshotError('truncated', 'Snapshot file is too short');
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== MAGIC) {
+    throw new SnapshotError('bad-magic', 'Not a Gravity Sculptor snapshot');
+  }
+
+  const version = view.getUint16(4, true);
+  if (version > SNAPSHOT_VERSION) {
+    throw new SnapshotError('too-new', `Snapshot version ${version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  if (PREAMBLE_BYTES + headerLength > buffer.byteLength) {
+    throw new SnapshotError('truncated', 'Snapshot header is cut off');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREAMBLE_BYTES, headerLength)));
+  } catch (err) {
+    throw new SnapshotError('bad-header', `Snapshot header is not valid JSON: ${err.message}`);
+  }
+
+  const arrays = {};
+  for (const { name, type, offset, length } of header.sections ?? []) {
+    const ArrayType = ARRAY_TYPES[type];
+    if (!ArrayType) {
+      throw new SnapshotError('bad-header', `Unknown array type ${type} in section ${name}`);
+    }
+    if (offset % 8 !== 0 || offset + length * ArrayType.BYTES_PER_ELEMENT > buffer.byteLength) {
+      throw new SnapshotError('truncated', `Snapshot section ${name} is cut off`);
+    }
+    // Copy out so the arrays own their buffers (and can be transferred)
+    arrays[name] = new ArrayType(buffer.slice(offset, offset + length * ArrayType.BYTES_PER_ELEMENT));
+  }
+
+  let snapshot = { header, arrays };
+  for (let v = version; v < SNAPSHOT_VERSION; v++) {
+    const migrate = MIGRATIONS[v];
+    if (!migrate) {
+      throw new SnapshotError('no-migration', `Snapshot version ${v} can no longer be loaded`);
+    }
+    snapshot = migrate(snapshot);
+  }
+
+  return { version, state: snapshot.header.state, arrays: snapshot.arrays };
+}
@@ -0,0 +1,118 @@
+/**
+ * SnapshotStore - Named snapshot slots kept in the browser
+ * Uses IndexedDB (binary, large quotas); falls back to base64 in
+ * localStorage where IndexedDB is unavailable (some private modes).
+ */
+
+const DB_NAME = 'gravitySculptor';
+const STORE_NAME = 'snapshots';
+const LOCAL_PREFIX = 'gravitySculptor_snapshot_';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+export class SnapshotStore {
+  constructor() {
+    this.db = null;
+    this.useLocalStorage = typeof indexedDB === 'undefined';
+  }
+
+  async open() {
+    if (this.db || this.useLocalStorage) return this.db;
+    try {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+      };
+      this.db = await promisify(request);
+    } catch (err) {
+      console.warn('IndexedDB unavailable, saving snapshots to localStorage', err);
+      this.useLocalStorage = true;
+    }
+    return this.db;
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisify(run(store));
+  }
+
+  /**
+   * Saved slots, newest first
+   * @returns {Promise<Array>} [{ name, savedAt, size }]
+   */
+  async list() {
+    await this.open();
+    let slots;
+    if (this.useLocalStorage) {
+      slots = Object.keys(localStorage)
+        .filter(key => key.startsWith(LOCAL_PREFIX))
+        .map(key => JSON.parse(localStorage.getItem(key)))
+        .map(({ name, savedAt, size }) => ({ name, savedAt, size }));
+    } else {
+      const records = await this.transaction('readonly', store => store.getAll());
+      slots = records.map(({ name, savedAt, data }) => ({ name, savedAt, size: data.byteLength }));
+    }
+    return slots.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Store a snapshot blob under a name, replacing any slot with that name
+   */
+  async save(name, buffer) {
+    await this.open();
+    const savedAt = Date.now();
+    if (this.useLocalStorage) {
+      const record = { name, savedAt, size: buffer.byteLength, data: toBase64(buffer) };
+      localStorage.setItem(LOCAL_PREFIX + name, JSON.stringify(record));
+      return;
+    }
+    await this.transaction('readwrite', store => store.put({ name, savedAt, data: buffer }));
+  }
+
+  /**
+   * @returns {Promise<ArrayBuffer|null>} The slot's blob, null if missing
+   */
+  async load(name) {
+    await this.open();
+    if (this.useLocalStorage) {
+      const text = localStorage.getItem(LOCAL_PREFIX + name);
+      return text ? fromBase64(JSON.parse(text).data) : null;
+    }
+    const record = await this.transaction('readonly', store => store.get(name));
+    return record?.data ?? null;
+  }
+
+  async remove(name) {
+    await this.open();
+    if (this.useLocalStorage) {
+      localStorage.removeItem(LOCAL_PREFIX + name);
+      return;
+    }
+    await this.transaction('readwrite', store => store.delete(name));
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * SpatialGrid - Uniform grid for fast neighbour lookups in the xy plane
+ * Particles are bucketed with a counting sort, so a rebuild is O(n) and
+ * reuses its arrays between frames.
+ */
+
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Cell edge length; queries are cheapest when
+   *                            the search radius is at most this size
+   * @param {number} maxCells - Cap on the grid size (cells grow for spread-out clouds)
+   */
+  constructor(cellSize = 0.2, maxCells = 16384) {
+    this.cellSize = cellSize;
+    this.maxCells = maxCells;
+    this.size = cellSize; // Effective cell size of the last build
+    this.cols = 0;
+    this.rows = 0;
+    this.minX = 0;
+    this.minY = 0;
+    this.cellStart = new Int32Array(1);
+    this.cursor = new Int32Array(1);
+    this.items = new Int32Array(0);
+    this.particleCell = new Int32Array(0);
+  }
+
+  /**
+   * Bucket live particles by cell
+   * @param {Float32Array} pos - Positions (xyz interleaved)
+   * @param {Uint8Array} alive - Dormant particles are left out
+   * @param {number} count - Particle count
+   */
+  build(pos, alive, count) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (!alive[i]) continue;
+      const i3 = i * 3;
+      minX = Math.min(minX, pos[i3]);
+      maxX = Math.max(maxX, pos[i3]);
+      minY = Math.min(minY, pos[i3 + 1]);
+      maxY = Math.max(maxY, pos[i3 + 1]);
+    }
+    if (minX === Infinity) {
+      minX = minY = maxX = maxY = 0;
+    }
+
+    // Grow cells rather than the grid when particles are far apart
+    let size = this.cellSize;
+    let cols = Math.floor((maxX - minX) / size) + 1;
+    let rows = Math.floor((maxY - minY) / size) + 1;
+    if (cols * rows > this.maxCells) {
+      size *= Math.sqrt((cols * rows) / this.maxCells) * 1.01;
+      cols = Math.floor((maxX - minX) / size) + 1;
+      rows = Math.floor((maxY - minY) / size) + 1;
+    }
+
+    this.size = size;
+    this.cols = cols;
+    this.rows = rows;
+    this.minX = minX;
+    this.minY = minY;
+
+    const cells = cols * rows;
+    if (this.cellStart.length < cells + 1) {
+      this.cellStart = new Int32Array(cells + 1);
+      this.cursor = new Int32Array(cells + 1);
+    }
+    if (this.items.length < count) {
+      this.items = new Int32Array(count);
+      this.particleCell = new Int32Array(count);
+    }
+
+    // Count per cell, prefix-sum into start offsets, then scatter
+    const cellStart = this.cellStart;
+    cellStart.fill(0, 0, cells + 1);
+    for (let i = 0; i < count; i++) {
+      if (!alive[i]) {
+        this.particleCell[i] = -1;
+        continue;
+      }
+      const cell = this.cellOf(pos[i * 3], pos[i * 3 + 1]);
+      this.particleCell[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    for (let c = 0; c < cells; c++) {
+      cellStart[c + 1] += cellStart[c];
+    }
+    const cursor = this.cursor;
+    cursor.set(cellStart.subarray(0, cells));
+    for (let i = 0; i < count; i++) {
+      const cell = this.particleCell[i];
+      if (cell >= 0) this.items[cursor[cell]++] = i;
+    }
+  }
+
+  cellOf(x, y) {
+    const col = Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.minX) / this.size)));
+    const row = Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.minY) / this.size)));
+    return row * this.cols + col;
+  }
+
+  /**
+   * Collect particles in the cells overlapping a square around (x, y)
+   * Candidates still need an exact distance check
+   * @param {Int32Array} out - Receives particle indices
+   * @returns {number} Number of candidates written
+   */
+  query(x, y, radius, out) {
+    const size = this.size;
+    const c0 = Math.max(0, Math.floor((x - radius - this.minX) / size));
+    const c1 = Math.min(this.cols - 1, Math.floor((x + radius - this.minX) / size));
+    const r0 = Math.max(0, Math.floor((y - radius - this.minY) / size));
+    const r1 = Math.min(this.rows - 1, Math.floor((y + radius - this.minY) / size));
+    let n = 0;
+
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        const cell = row * this.cols + col;
+        const end = this.cellStart[cell + 1];
+        for (let k = this.cellStart[cell]; k < end && n < out.length; k++) {
+          out[n++] = this.items[k];
+        }
+      }
+    }
+    return n;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Species - Named particle groups with their own physical and visual traits
+ * Charge sets how a species responds to hand wells: positive is attracted,
+ * negative is repelled, zero ignores them. Mass divides that response.
+ */
+
+export const SPECIES_DEFAULTS = {
+  name: 'dust',
+  share: 1, // Relative portion of the particle pool
+  charge: 1,
+  massMin: 0.75,
+  massMax: 1.25,
+  drag: null, // Velocity kept per second, null = use Physics.drag
+  maxVelocity: null, // Clamp speed, null = use Physics.maxVelocity
+  color: null // { h, s, l } base colour, null = default speed palette
+};
+
+export const SPECIES_PRESETS = {
+  // Everything behaves alike (the classic look)
+  single: [
+    { name: 'dust' }
+  ],
+
+  // Opposite charges - one hand pulls reds in and pushes blues away
+  mixed: [
+    { name: 'red', charge: 1, color: { h: 0.0, s: 0.85, l: 0.55 } },
+    { name: 'blue', charge: -1, color: { h: 0.6, s: 0.85, l: 0.55 } }
+  ],
+
+  // Adds heavy, sluggish neutral particles that ignore wells
+  trio: [
+    { name: 'red', charge: 1, color: { h: 0.0, s: 0.85, l: 0.55 } },
+    { name: 'blue', charge: -1, color: { h: 0.6, s: 0.85, l: 0.55 } },
+    { name: 'gold', share: 0.5, charge: 0, massMin: 2, massMax: 3, drag: 0.5, maxVelocity: 0.04, color: { h: 0.13, s: 0.9, l: 0.5 } }
+  ]
+};
+
+/**
+ * Fill in defaults for a species list
+ * @param {Array} list - Partial species definitions
+ * @returns {Array} Complete definitions
+ */
+export function normalizeSpecies(list) {
+  if (!list || list.length === 0) {
+    throw new Error('At least one species is required');
+  }
+  if (list.length > 255) {
+    throw new Error('At most 255 species are supported');
+  }
+  return list.map(s => ({ ...SPECIES_DEFAULTS, ...s }));
+}
+
+/**
+ * Pick a species index weighted by share
+ * @param {Array} species - Normalized species list
+ * @param {number} r - Random number in [0, 1)
+ */
+export function pickSpecies(species, r) {
+  const total = species.reduce((sum, s) => sum + s.share, 0);
+  let target = r * total;
+  for (let s = 0; s < species.length; s++) {
+    target -= species[s].share;
+    if (target < 0) return s;
+  }
+  return species.length - 1;
+}
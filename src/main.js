@@ -6,28 +6,133 @@
  */
 
 import { HandTracker } from './HandTracker.js';
-import { Physics } from './Physics.js';
+import { PhysicsClient } from './PhysicsClient.js';
 import { Renderer } from './Renderer.js';
 import { GameMode } from './GameMode.js';
+import { parseSeed, randomSeed } from './Random.js';
+import { SPECIES_PRESETS } from './Species.js';
+import { ROLE_PRESETS } from './HandRoles.js';
+import { encodeSnapshot, decodeSnapshot, SnapshotError, SNAPSHOT_EXTENSION } from './Snapshot.js';
+import { SnapshotStore } from './SnapshotStore.js';
+import { Clock } from './Clock.js';
+import { RewindBuffer } from './RewindBuffer.js';
+import { parseHandRecording, HAND_RECORDING_EXTENSION } from './HandRecording.js';
+
+// Emitter presets for the control panel (world coordinates)
+const EMITTER_PRESETS = {
+  fountain: { type: 'point', params: { x: 0, y: -1.2, direction: Math.PI / 2, spread: 0.25, speed: 0.03 } },
+  ring: { type: 'ring', params: { radius: 0.6, direction: Math.PI / 2, speed: 0.015 } },
+  line: { type: 'line', params: { x: -1.5, y: -1.3, x2: 1.5, y2: -1.3, direction: Math.PI / 2, spread: 0.1, speed: 0.025 } },
+  blackHole: { type: 'sink', params: { x: 0, y: 0, reemit: true } }
+};
+
+// Particle counts the panel slider allows
+const PARTICLE_RANGE = { min: 100, max: 2000 };
+
+// Values per particle in each snapshot array (see Physics STATE_ARRAYS)
+const SNAPSHOT_STRIDES = {
+  positions: 3, velocities: 3, masses: 1, charges: 1, speciesIds: 1, ages: 1, lifetimes: 1, alive: 1
+};
+
+// Panel sliders that tune registered force fields
+const FIELD_SLIDERS = [
+  { id: 'flow-scale', fieldId: 'ambient', param: 'flowScale', field: 'scale', format: v => v.toFixed(1) },
+  { id: 'flow-speed', fieldId: 'ambient', param: 'flowSpeed', field: 'speed', format: v => v.toFixed(2) },
+  { id: 'flow-strength', fieldId: 'ambient', param: 'flowStrength', field: 'strength', format: v => `${v.toFixed(1)}x`, scale: 0.00001 },
+  { id: 'gravity-theta', fieldId: 'selfGravity', param: 'gravityTheta', field: 'theta', format: v => v.toFixed(2) },
+  { id: 'gravity-softening', fieldId: 'selfGravity', param: 'gravitySoftening', field: 'softening', format: v => v.toFixed(2) },
+  { id: 'gravity-strength', fieldId: 'selfGravity', param: 'gravityStrength', field: 'strength', format: v => `${v.toFixed(1)}x`, scale: 0.000004 },
+  { id: 'flock-separation', fieldId: 'boids', param: 'flockSeparation', field: 'separation', format: v => `${v.toFixed(1)}x`, scale: 0.00003 },
+  { id: 'flock-alignment', fieldId: 'boids', param: 'flockAlignment', field: 'alignment', format: v => `${v.toFixed(1)}x`, scale: 0.04 },
+  { id: 'flock-cohesion', fieldId: 'boids', param: 'flockCohesion', field: 'cohesion', format: v => `${v.toFixed(1)}x`, scale: 0.0006 },
+  { id: 'flock-radius', fieldId: 'boids', param: 'flockRadius', field: 'radius', format: v => v.toFixed(2) }
+];
+
+// Structure presets for the control panel (world coordinates)
+const STRUCTURE_PRESETS = {
+  rope: { type: 'rope', params: { x: 0, y: 1.2, segments: 30, spacing: 0.05 } },
+  net: { type: 'net', params: { x: 0, y: 1.0, cols: 16, rows: 12, spacing: 0.08 } },
+  jelly: { type: 'jelly', params: { x: 0, y: 0, radius: 0.35 } }
+};
+
+// Pinball-style obstacle layout for the Bumpers button
+const BUMPER_PRESET = [
+  { type: 'circle', params: { x: -0.8, y: 0.4, radius: 0.18, restitution: 0.9 } },
+  { type: 'circle', params: { x: 0.8, y: 0.4, radius: 0.18, restitution: 0.9 } },
+  { type: 'circle', params: { x: 0, y: -0.3, radius: 0.22, restitution: 0.9 } },
+  { type: 'capsule', params: { x: -1.4, y: -0.9, x2: -0.5, y2: -1.2, radius: 0.05 } },
+  { type: 'capsule', params: { x: 1.4, y: -0.9, x2: 0.5, y2: -1.2, radius: 0.05 } }
+];
 
 class GravitySculptor {
   constructor() {
     // Configuration
     this.config = {
       particleCount: 800, // Clean and distinct
-      targetFPS: 60
+      targetFPS: 60,
+      seed: GravitySculptor.getSeedFromURL() ?? randomSeed()
     };
     
     // Adjustable parameters
     this.params = {
       gravityPower: 1.0,
       particleSpeed: 1.0,
-      drag: 0.995,
+      drag: 0.74, // Velocity kept per second
+      integrator: 'euler',
+      ambientFlow: false,
+      flowScale: 1.2,
+      flowSpeed: 0.15,
+      flowStrength: 1.0, // Multiplier on the gentle default
+      selfGravity: false, // Particles attract each other (Barnes-Hut)
+      gravityTheta: 0.8,
+      gravitySoftening: 0.05,
+      gravityStrength: 1.0, // Multiplier on the default pull
+      flock: false, // Boids mode - hands become attractors (Attract) or predators (Repel)
+      flockSeparation: 1.0,
+      flockAlignment: 1.0,
+      flockCohesion: 1.0,
+      flockRadius: 0.25,
+      clampVelocity: true,
+      boundaryShape: 'circle', // 'circle' | 'rect' (screen edges)
+      boundaryMode: 'respawn',
+      species: 'single', // Key in SPECIES_PRESETS
       bloomIntensity: 1.0,
       attractMode: true, // true = attract, false = repel
+      handRoles: 'same', // Key in ROLE_PRESETS
+      handGrace: 400, // ms a lost hand's well coasts and fades before it is removed
+      mode3D: false, // Volumetric world, hand depth and orbit camera
+      blackHole: false, // Merged hands capture particles and release them as jets
+      webcamVisible: true,
       trailMode: false
     };
     
+    // Runtime force fields added from the panel, keyed by type
+    this.fieldIds = {};
+    
+    // Panel emitters keyed by preset, and per-hand fingertip streams
+    this.emitterIds = {};
+    this.fingerStreams = false;
+    this.handEmitterIds = [];
+    this.handEmitterOwners = []; // Hand id using each fingertip stream slot
+    
+    // Solid obstacles: { id, type, params } mirrored for drawing
+    this.colliders = [];
+    
+    // Title of the running challenge (kept in snapshots)
+    this.challengeLabel = null;
+    
+    // Named snapshot slots in the browser
+    this.snapshotStore = new SnapshotStore();
+    
+    // Game time: pause, slow motion, frame step and rewind
+    this.clock = new Clock();
+    this.rewindBuffer = new RewindBuffer(10, 0.25);
+    this.rewinding = false;
+    this.rewindBusy = false; // A rewind restore is in flight
+    this.rewindResume = false; // Play again when rewinding stops
+    this.lastRewindAt = 0;
+    this.capturingRewind = false;
+    
     // Core modules
     this.handTracker = null;
     this.physics = null;
@@ -42,6 +147,24 @@ class GravitySculptor {
     // State
     this.isRunning = false;
     this.chaosMode = false;
+    this.orbitGesture = null; // Last two-hand steering pose in 3D
+  }
+
+  /**
+   * Read ?seed= from the page URL (number or word)
+   */
+  static getSeedFromURL() {
+    const value = new URLSearchParams(window.location.search).get('seed');
+    return value ? parseSeed(value) : null;
+  }
+
+  /**
+   * Read ?replay=<recording url> (plus &step for stepped playback)
+   */
+  static getReplayFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const url = params.get('replay');
+    return url ? { url, stepped: params.has('step') } : null;
   }
 
   async init() {
@@ -51,21 +174,32 @@ class GravitySculptor {
     const container = document.getElementById('canvas-container');
     
     // Initialize modules
-    this.physics = new Physics(this.config.particleCount);
-    this.renderer = new Renderer(container, this.config.particleCount);
+    this.physics = new PhysicsClient(this.config.particleCount, this.config.seed);
+    this.renderer = new Renderer(container, this.config.particleCount, this.config.seed);
+    this.renderer.setSpecies(this.physics.species);
     this.handTracker = new HandTracker();
-    this.gameMode = new GameMode();
+    this.handTracker.gracePeriod = this.params.handGrace;
+    this.gameMode = new GameMode(this.clock);
     
-    // Initialize hand tracking (async, doesn't block)
-    this.handTracker.init().then(() => {
-      console.log('✋ Hand tracking ready');
-    }).catch(err => {
-      console.warn('Hand tracking unavailable, running in ambient mode');
-    });
+    // Initialize hand tracking (async, doesn't block), or replay a recording instead of the camera
+    const replay = GravitySculptor.getReplayFromURL();
+    if (replay) {
+      this.loadHandRecordingURL(replay.url, { stepped: replay.stepped });
+    } else {
+      this.handTracker.init().then(() => {
+        console.log('✋ Hand tracking ready');
+      }).catch(err => {
+        console.warn('Hand tracking unavailable, running in ambient mode');
+      });
+    }
     
     // Set initial particle positions
     this.renderer.updatePositions(this.physics.positions);
     
+    // Keep a screen-shaped boundary matched to the camera frustum
+    this.updateBoundaryExtents();
+    window.addEventListener('resize', () => this.updateBoundaryExtents());
+    
     // Setup keyboard controls
     console.log('About to call setupControls');
     this.setupControls();
@@ -89,7 +223,20 @@ class GravitySculptor {
       }
       if (e.key === ' ') {
         e.preventDefault();
+        this.togglePause();
+      }
+      if (e.key === '.') {
+        this.stepFrame();
+      }
+      if (e.key === '[' || e.key === ']') {
+        this.setTimeScale(this.clock.shiftTimeScale(e.key === '[' ? -1 : 1));
       }
+      if (e.key === 'ArrowLeft' && !e.repeat) {
+        this.startRewind();
+      }
+    });
+    document.addEventListener('keyup', (e) => {
+      if (e.key === 'ArrowLeft') this.stopRewind();
     });
     
     // Mouse drawing - works in draw mode
@@ -161,9 +308,35 @@ class GravitySculptor {
         const val = parseInt(e.target.value);
         document.getElementById('particles-val').textContent = val;
         this.config.particleCount = val;
-        // Reinitialize with new particle count
-        this.physics = new Physics(val);
-        this.renderer.reinitParticles(val);
+        // Resize the live pool; particles, fields, emitters and settings carry over
+        this.physics.resize(val);
+        this.renderer.resizeParticles(val);
+        this.rewindBuffer.clear(); // Older frames hold a different pool size
+      });
+    }
+    
+    // Playback: pause, single step, hold-to-rewind and time scale presets
+    document.getElementById('pause-btn')?.addEventListener('click', () => this.togglePause());
+    document.getElementById('step-btn')?.addEventListener('click', () => this.stepFrame());
+    const rewindBtn = document.getElementById('rewind-btn');
+    if (rewindBtn) {
+      rewindBtn.addEventListener('pointerdown', () => this.startRewind());
+      rewindBtn.addEventListener('pointerup', () => this.stopRewind());
+      rewindBtn.addEventListener('pointerleave', () => this.stopRewind());
+    }
+    document.querySelectorAll('.time-scale-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setTimeScale(parseFloat(btn.dataset.scale)));
+    });
+    
+    // Seed input - same seed reproduces the same starting field
+    const seedInput = document.getElementById('seed-input');
+    const seedBtn = document.getElementById('seed-btn');
+    if (seedInput && seedBtn) {
+      seedInput.value = this.config.seed;
+      seedBtn.addEventListener('click', () => this.applySeed(seedInput.value));
+      seedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.applySeed(seedInput.value);
+        e.stopPropagation(); // Don't trigger C/R shortcuts while typing
       });
     }
     
@@ -173,7 +346,7 @@ class GravitySculptor {
     if (gravitySlider) {
       gravitySlider.addEventListener('input', (e) => {
         this.params.gravityPower = parseFloat(e.target.value);
-        this.physics.G = 0.00015 * this.params.gravityPower;
+        this.physics.set({ G: 0.00015 * this.params.gravityPower });
         gravityVal.textContent = `${this.params.gravityPower.toFixed(1)}x`;
       });
     }
@@ -194,8 +367,106 @@ class GravitySculptor {
     if (dragSlider) {
       dragSlider.addEventListener('input', (e) => {
         this.params.drag = parseFloat(e.target.value);
-        this.physics.drag = this.params.drag;
-        dragVal.textContent = this.params.drag.toFixed(3);
+        this.physics.set({ drag: this.params.drag });
+        dragVal.textContent = `${this.params.drag.toFixed(2)}/s`;
+      });
+    }
+    
+    // Integrator buttons
+    document.querySelectorAll('.integrator-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setIntegrator(btn.dataset.integrator));
+    });
+    
+    // Force field toggles
+    document.querySelectorAll('.field-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const type = btn.dataset.field;
+        btn.classList.toggle('active', this.toggleField(type));
+      });
+    });
+    
+    // Species presets
+    document.querySelectorAll('.species-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setSpecies(btn.dataset.species));
+    });
+    
+    // Emitter presets
+    document.querySelectorAll('.emitter-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        btn.classList.toggle('active', this.toggleEmitter(btn.dataset.emitter));
+      });
+    });
+    
+    const fingerStreamBtn = document.getElementById('finger-stream-btn');
+    if (fingerStreamBtn) {
+      fingerStreamBtn.addEventListener('click', () => {
+        this.fingerStreams = !this.fingerStreams;
+        fingerStreamBtn.classList.toggle('active', this.fingerStreams);
+      });
+    }
+    
+    const emptyFieldBtn = document.getElementById('empty-field-btn');
+    if (emptyFieldBtn) {
+      emptyFieldBtn.addEventListener('click', () => this.physics.clearParticles());
+    }
+    
+    // Ambient flow toggle and tuning
+    const ambientBtn = document.getElementById('ambient-btn');
+    if (ambientBtn) {
+      ambientBtn.addEventListener('click', () => {
+        this.params.ambientFlow = !this.params.ambientFlow;
+        this.physics.setField('ambient', { enabled: this.params.ambientFlow });
+        ambientBtn.classList.toggle('active', this.params.ambientFlow);
+      });
+    }
+    
+    // Merged hands become a black hole
+    const blackHoleBtn = document.getElementById('hand-black-hole-btn');
+    if (blackHoleBtn) {
+      blackHoleBtn.addEventListener('click', () => {
+        this.params.blackHole = !this.params.blackHole;
+        this.physics.setBlackHole({ enabled: this.params.blackHole });
+        blackHoleBtn.classList.toggle('active', this.params.blackHole);
+      });
+    }
+    
+    // Self-gravity toggle
+    const selfGravityBtn = document.getElementById('self-gravity-btn');
+    if (selfGravityBtn) {
+      selfGravityBtn.addEventListener('click', () => {
+        this.params.selfGravity = !this.params.selfGravity;
+        this.physics.setField('selfGravity', { enabled: this.params.selfGravity });
+        selfGravityBtn.classList.toggle('active', this.params.selfGravity);
+      });
+    }
+    
+    for (const slider of FIELD_SLIDERS) {
+      const input = document.getElementById(slider.id);
+      const label = document.getElementById(`${slider.id}-val`);
+      if (!input) continue;
+      input.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        this.params[slider.param] = value;
+        this.physics.setField(slider.fieldId, { [slider.field]: value * (slider.scale ?? 1) });
+        if (label) label.textContent = slider.format(value);
+      });
+    }
+    
+    // Boundary shape and mode
+    document.querySelectorAll('.boundary-shape-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setBoundary({ shape: btn.dataset.shape }));
+    });
+    document.querySelectorAll('.boundary-mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setBoundary({ mode: btn.dataset.mode }));
+    });
+    
+    // Velocity clamp toggle
+    const clampBtn = document.getElementById('clamp-btn');
+    if (clampBtn) {
+      clampBtn.addEventListener('click', () => {
+        this.params.clampVelocity = !this.params.clampVelocity;
+        this.physics.set({ clampVelocity: this.params.clampVelocity });
+        clampBtn.classList.toggle('active', this.params.clampVelocity);
       });
     }
     
@@ -216,18 +487,56 @@ class GravitySculptor {
     if (attractBtn && repelBtn) {
       attractBtn.addEventListener('click', () => {
         this.params.attractMode = true;
-        this.physics.attractMode = true;
+        this.physics.set({ attractMode: true });
         attractBtn.classList.add('active');
         repelBtn.classList.remove('active');
       });
       repelBtn.addEventListener('click', () => {
         this.params.attractMode = false;
-        this.physics.attractMode = false;
+        this.physics.set({ attractMode: false });
         attractBtn.classList.remove('active');
         repelBtn.classList.add('active');
       });
     }
     
+    // Flock (boids) mode, alongside Attract/Repel
+    const flockBtn = document.getElementById('flock-btn');
+    if (flockBtn) {
+      flockBtn.addEventListener('click', () => this.setFlockMode(!this.params.flock));
+    }
+    
+    // 3D view, webcam backdrop and hand depth calibration
+    document.getElementById('mode3d-btn')?.addEventListener('click', () => this.setMode3D(!this.params.mode3D));
+    const webcamBtn = document.getElementById('webcam-btn');
+    if (webcamBtn) {
+      webcamBtn.addEventListener('click', () => {
+        this.params.webcamVisible = !this.params.webcamVisible;
+        this.renderer.setWebcamVisible(this.params.webcamVisible);
+        webcamBtn.classList.toggle('active', this.params.webcamVisible);
+      });
+    }
+    document.getElementById('calibrate-depth-btn')?.addEventListener('click', () => {
+      if (this.handTracker.calibrateDepth()) {
+        console.log(`📏 Hand depth calibrated (palm ${this.handTracker.depthReference.toFixed(3)})`);
+      } else {
+        console.warn('Show a hand to the camera to calibrate depth');
+      }
+    });
+    const graceSlider = document.getElementById('hand-grace');
+    const graceVal = document.getElementById('hand-grace-val');
+    if (graceSlider) {
+      graceSlider.addEventListener('input', (e) => {
+        this.params.handGrace = parseInt(e.target.value);
+        this.handTracker.gracePeriod = this.params.handGrace;
+        graceVal.textContent = `${this.params.handGrace}ms`;
+      });
+    }
+    
+    // Per-hand roles (handedness / gesture decide attract vs repel)
+    document.querySelectorAll('.role-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setHandRoles(btn.dataset.roles));
+    });
+    
     // Chaos button
     const chaosBtn = document.getElementById('chaos-btn');
     if (chaosBtn) {
@@ -281,6 +590,42 @@ class GravitySculptor {
       });
     }
     
+    // Wall mode - finished strokes turn into solid walls
+    const wallModeBtn = document.getElementById('wall-mode-btn');
+    if (wallModeBtn) {
+      wallModeBtn.addEventListener('click', () => {
+        this.gameMode.wallMode = !this.gameMode.wallMode;
+        wallModeBtn.classList.toggle('active', this.gameMode.wallMode);
+      });
+    }
+    
+    const bumpersBtn = document.getElementById('bumpers-btn');
+    if (bumpersBtn) {
+      bumpersBtn.addEventListener('click', () => {
+        for (const { type, params } of BUMPER_PRESET) {
+          this.addCollider(type, params);
+        }
+      });
+    }
+    
+    // Soft structures - each click builds another one
+    document.querySelectorAll('.structure-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { type, params } = STRUCTURE_PRESETS[btn.dataset.structure];
+        this.physics.addStructure(type, params);
+      });
+    });
+    
+    const clearStructuresBtn = document.getElementById('clear-structures-btn');
+    if (clearStructuresBtn) {
+      clearStructuresBtn.addEventListener('click', () => this.physics.clearStructures());
+    }
+    
+    const clearWallsBtn = document.getElementById('clear-walls-btn');
+    if (clearWallsBtn) {
+      clearWallsBtn.addEventListener('click', () => this.clearColliders());
+    }
+    
     // Color picker
     document.querySelectorAll('.color-dot').forEach(dot => {
       dot.addEventListener('click', (e) => {
@@ -306,17 +651,607 @@ class GravitySculptor {
       balanceBtn.addEventListener('click', () => this.startChallenge('balance'));
     }
     
+    const sortBtn = document.getElementById('sort-btn');
+    if (sortBtn) {
+      sortBtn.addEventListener('click', () => this.startSortChallenge());
+    }
+    
+    this.setupSnapshotControls();
+    this.setupHandRecordingControls();
+    
     // Initialize score display
     this.updateScoreDisplay();
   }
   
+  /**
+   * Save/load slots, file download/import and drag-and-drop restore
+   */
+  setupSnapshotControls() {
+    const nameInput = document.getElementById('snapshot-name');
+    const slotSelect = document.getElementById('snapshot-slots');
+    const fileInput = document.getElementById('snapshot-file');
+    
+    nameInput?.addEventListener('keydown', (e) => e.stopPropagation()); // Don't trigger C/R shortcuts
+    
+    document.getElementById('snapshot-save-btn')?.addEventListener('click', () => {
+      const name = nameInput?.value.trim() || new Date().toLocaleString();
+      this.runSnapshotTask(async () => {
+        await this.snapshotStore.save(name, await this.captureSnapshot());
+        await this.refreshSnapshotSlots(name);
+        return `Saved "${name}"`;
+      });
+    });
+    
+    document.getElementById('snapshot-load-btn')?.addEventListener('click', () => {
+      const name = slotSelect?.value;
+      if (!name) return;
+      this.runSnapshotTask(async () => {
+        const buffer = await this.snapshotStore.load(name);
+        if (!buffer) throw new Error(`Slot "${name}" is empty`);
+        await this.loadSnapshot(buffer);
+        return `Loaded "${name}"`;
+      });
+    });
+    
+    document.getElementById('snapshot-delete-btn')?.addEventListener('click', () => {
+      const name = slotSelect?.value;
+      if (!name) return;
+      this.runSnapshotTask(async () => {
+        await this.snapshotStore.remove(name);
+        await this.refreshSnapshotSlots();
+        return `Deleted "${name}"`;
+      });
+    });
+    
+    document.getElementById('snapshot-download-btn')?.addEventListener('click', () => {
+      this.runSnapshotTask(async () => {
+        this.downloadSnapshot(await this.captureSnapshot());
+        return 'Downloaded snapshot';
+      });
+    });
+    
+    document.getElementById('snapshot-import-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) this.importSnapshotFile(file);
+    });
+    
+    // Drop a .gsnap file anywhere on the page
+    window.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      document.body.classList.add('drop-target');
+    });
+    window.addEventListener('dragleave', (e) => {
+      if (e.relatedTarget === null) document.body.classList.remove('drop-target');
+    });
+    window.addEventListener('drop', (e) => {
+      document.body.classList.remove('drop-target');
+      const file = e.dataTransfer?.files[0];
+      if (!file) return;
+      e.preventDefault();
+      // Hand recordings replay; anything else is tried as a snapshot
+      if (/\.(nd)?json$/i.test(file.name)) this.importHandRecording(file);
+      else this.importSnapshotFile(file);
+    });
+    
+    this.refreshSnapshotSlots().catch(err => console.warn('Could not list snapshot slots:', err));
+  }
+  
+  /**
+   * Record hand landmarks to a file, or replay one instead of the camera
+   */
+  setupHandRecordingControls() {
+    const recordBtn = document.getElementById('record-hands-btn');
+    const fileInput = document.getElementById('hands-file');
+    
+    recordBtn?.addEventListener('click', () => {
+      if (this.handTracker.isRecording) {
+        const frames = this.handTracker.recorder.frames.length;
+        this.downloadHandRecording(this.handTracker.stopRecording());
+        this.setHandRecordingStatus(`Saved ${frames} frames`);
+      } else {
+        this.handTracker.startRecording();
+        this.setHandRecordingStatus('Recording…');
+      }
+      recordBtn.classList.toggle('active', this.handTracker.isRecording);
+    });
+    
+    document.getElementById('replay-hands-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) this.importHandRecording(file);
+    });
+    
+    document.getElementById('live-hands-btn')?.addEventListener('click', () => {
+      if (!this.handTracker.playback) return;
+      this.handTracker.stopPlayback();
+      this.setHandRecordingStatus('Starting camera…');
+      this.handTracker.init().then(() => {
+        this.setHandRecordingStatus(this.handTracker.isReady ? 'Live camera' : 'Camera unavailable', !this.handTracker.isReady);
+      });
+    });
+  }
+  
+  importHandRecording(file) {
+    file.text()
+      .then(text => this.startHandReplay(text, file.name))
+      .catch(err => this.setHandRecordingStatus(err.message, true));
+  }
+  
+  /**
+   * Replay a recording fetched from a URL (?replay=)
+   */
+  loadHandRecordingURL(url, options = {}) {
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`Could not fetch ${url} (${response.status})`);
+        return response.text();
+      })
+      .then(text => this.startHandReplay(text, url, options))
+      .catch(err => {
+        console.warn('Hand replay failed:', err);
+        this.setHandRecordingStatus(err.message, true);
+      });
+  }
+  
+  /**
+   * Parse a recording and feed it to the hand tracker
+   * @param {Object} options - { stepped }; stepped replays advance with the Step button / '.' key
+   */
+  startHandReplay(text, name, options = {}) {
+    const { frames } = parseHandRecording(text);
+    this.handTracker.startPlayback(frames, options);
+    this.setHandRecordingStatus(`Replaying ${name}${options.stepped ? ' (press . to step)' : ''}`);
+  }
+  
+  setHandRecordingStatus(message, isError = false) {
+    const status = document.getElementById('hands-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+  
+  downloadHandRecording(text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/x-ndjson' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gravity-sculptor-${new Date().toISOString().replace(/[:.]/g, '-')}${HAND_RECORDING_EXTENSION}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  importSnapshotFile(file) {
+    this.runSnapshotTask(async () => {
+      await this.loadSnapshot(await file.arrayBuffer());
+      return `Loaded ${file.name}`;
+    });
+  }
+  
+  /**
+   * Run a snapshot action and report its outcome in the panel
+   * @param {Function} task - Async, resolves with a status message
+   */
+  async runSnapshotTask(task) {
+    const status = document.getElementById('snapshot-status');
+    try {
+      const message = await task();
+      if (status) {
+        status.textContent = message;
+        status.classList.remove('error');
+      }
+    } catch (err) {
+      console.error('Snapshot failed:', err);
+      if (status) {
+        status.textContent = err instanceof SnapshotError ? err.message : `Snapshot failed: ${err.message}`;
+        status.classList.add('error');
+      }
+    }
+  }
+  
+  /**
+   * Fill the slot dropdown from storage
+   * @param {string} selected - Slot to select afterwards
+   */
+  async refreshSnapshotSlots(selected = null) {
+    const slotSelect = document.getElementById('snapshot-slots');
+    if (!slotSelect) return;
+    const slots = await this.snapshotStore.list();
+    slotSelect.replaceChildren(...slots.map(slot => {
+      const option = document.createElement('option');
+      option.value = slot.name;
+      option.textContent = `${slot.name} (${Math.ceil(slot.size / 1024)} KB)`;
+      return option;
+    }));
+    if (selected) slotSelect.value = selected;
+  }
+  
+  downloadSnapshot(buffer) {
+    const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gravity-sculptor-${new Date().toISOString().replace(/[:.]/g, '-')}${SNAPSHOT_EXTENSION}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Capture physics, game and panel state as a binary blob (see Snapshot.js)
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async captureSnapshot() {
+    const { state, arrays } = await this.physics.requestSnapshot();
+    return encodeSnapshot({
+      savedAt: Date.now(),
+      config: { particleCount: this.config.particleCount, seed: this.config.seed },
+      ...this.describePanel(),
+      game: this.gameMode.serialize(),
+      physics: state
+    }, arrays);
+  }
+  
+  /**
+   * Panel state that belongs with a physics snapshot
+   * (ids of what the buttons added, so toggles keep working after a restore)
+   */
+  describePanel() {
+    return {
+      params: { ...this.params },
+      panel: {
+        fieldIds: { ...this.fieldIds },
+        emitterIds: { ...this.emitterIds },
+        fingerStreams: this.fingerStreams,
+        handEmitterIds: [...this.handEmitterIds],
+        colliders: [...this.colliders],
+        challengeLabel: this.challengeLabel
+      }
+    };
+  }
+  
+  /**
+   * Put back a describePanel() result once physics has been restored
+   */
+  applyPanel({ params, panel }) {
+    this.params = { ...this.params, ...params };
+    this.fieldIds = { ...panel.fieldIds };
+    this.emitterIds = { ...panel.emitterIds };
+    this.fingerStreams = panel.fingerStreams;
+    this.handEmitterIds = [...panel.handEmitterIds];
+    this.colliders = [...panel.colliders];
+    this.challengeLabel = panel.challengeLabel;
+    this.chaosMode = this.physics.chaosMode;
+    
+    this.renderer.setSpecies(this.physics.species);
+    this.renderer.updateColliders(this.colliders);
+    this.renderer.setWebcamVisible(this.params.webcamVisible);
+    if (this.params.mode3D !== this.renderer.mode3D) this.renderer.setMode3D(this.params.mode3D);
+    const bloom = this.params.bloomIntensity;
+    this.renderer.setBloomIntensity(this.chaosMode ? bloom * 1.5 : bloom);
+    this.handTracker.setRoleRules(ROLE_PRESETS[this.params.handRoles]);
+    this.handTracker.gracePeriod = this.params.handGrace;
+    this.syncControls();
+  }
+  
+  /**
+   * Replace the running simulation with a snapshot blob
+   * The particle pool takes the snapshot's size once the worker accepts it.
+   * @throws {SnapshotError} For unreadable or incompatible blobs
+   */
+  async loadSnapshot(buffer) {
+    const { state, arrays } = decodeSnapshot(buffer);
+    if (!state.physics || !state.params || !state.panel || !state.game) {
+      throw new SnapshotError('bad-header', 'Snapshot is missing simulation state');
+    }
+    
+    const { count, seed } = state.physics;
+    if (!Number.isInteger(count) || count < PARTICLE_RANGE.min || count > PARTICLE_RANGE.max) {
+      throw new SnapshotError('bad-header', `Snapshot particle count ${count} is out of range`);
+    }
+    for (const [name, stride] of Object.entries(SNAPSHOT_STRIDES)) {
+      if (arrays[name]?.length !== count * stride) {
+        throw new SnapshotError('bad-header', `Snapshot ${name} does not hold ${count} particles`);
+      }
+    }
+    
+    await this.physics.restore({ state: state.physics, arrays });
+    this.rewindBuffer.clear();
+    
+    this.config.particleCount = count;
+    this.config.seed = seed;
+    this.gameMode.restore(state.game);
+    this.renderer.reinitParticles(count, seed);
+    this.applyPanel(state);
+    this.renderer.updatePathTrail(this.gameMode.drawPath, this.gameMode.artColors, this.clock.now());
+    
+    const display = document.getElementById('challenge-display');
+    display?.classList.toggle('active', this.gameMode.challengeActive);
+    const title = document.getElementById('challenge-title');
+    if (title && this.challengeLabel) title.textContent = this.challengeLabel;
+    
+    this.updateScoreDisplay();
+  }
+  
+  /**
+   * Make every slider, label and toggle in the panel reflect params
+   * (after a snapshot load replaces them wholesale)
+   */
+  syncControls() {
+    const p = this.params;
+    const sliders = [
+      { id: 'particles', value: this.config.particleCount, format: v => v },
+      { id: 'gravity', value: p.gravityPower, format: v => `${v.toFixed(1)}x` },
+      { id: 'speed', value: p.particleSpeed, format: v => `${v.toFixed(1)}x` },
+      { id: 'drag', value: p.drag, format: v => `${v.toFixed(2)}/s` },
+      { id: 'bloom', value: p.bloomIntensity, format: v => `${v.toFixed(1)}x` },
+      { id: 'hand-grace', value: p.handGrace, format: v => `${v}ms` },
+      ...FIELD_SLIDERS.map(s => ({ id: s.id, value: p[s.param], format: s.format }))
+    ];
+    for (const { id, value, format } of sliders) {
+      const input = document.getElementById(id);
+      const label = document.getElementById(`${id}-val`);
+      if (input) input.value = value;
+      if (label) label.textContent = format(value);
+    }
+    
+    const setActive = (selector, isActive) => {
+      document.querySelectorAll(selector).forEach(el => el.classList.toggle('active', isActive(el)));
+    };
+    setActive('.integrator-btn', btn => btn.dataset.integrator === p.integrator);
+    setActive('.boundary-shape-btn', btn => btn.dataset.shape === p.boundaryShape);
+    setActive('.boundary-mode-btn', btn => btn.dataset.mode === p.boundaryMode);
+    setActive('.species-btn', btn => btn.dataset.species === p.species);
+    setActive('.role-btn', btn => btn.dataset.roles === p.handRoles);
+    setActive('.field-btn', btn => Boolean(this.fieldIds[btn.dataset.field]));
+    setActive('.emitter-btn', btn => Boolean(this.emitterIds[btn.dataset.emitter]));
+    setActive('.color-dot', dot => parseInt(dot.dataset.color) === this.gameMode.currentColorIndex);
+    setActive('#clamp-btn', () => p.clampVelocity);
+    setActive('#attract-btn', () => p.attractMode);
+    setActive('#repel-btn', () => !p.attractMode);
+    setActive('#flock-btn', () => p.flock);
+    setActive('#ambient-btn', () => p.ambientFlow);
+    setActive('#self-gravity-btn', () => p.selfGravity);
+    setActive('#chaos-btn', () => this.chaosMode);
+    setActive('#finger-stream-btn', () => this.fingerStreams);
+    setActive('#draw-btn', () => this.gameMode.currentMode === 'draw');
+    setActive('#wall-mode-btn', () => this.gameMode.wallMode);
+    setActive('#mode3d-btn', () => p.mode3D);
+    setActive('#hand-black-hole-btn', () => p.blackHole);
+    setActive('#webcam-btn', () => p.webcamVisible);
+    setActive('.time-scale-btn', btn => parseFloat(btn.dataset.scale) === this.clock.timeScale);
+    document.getElementById('flock-controls')?.classList.toggle('hidden', !p.flock);
+    
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) seedInput.value = this.config.seed;
+  }
+  
+  /**
+   * Restart the simulation from a seed and make the URL shareable
+   */
+  applySeed(value) {
+    const seed = value === '' ? randomSeed() : parseSeed(value);
+    this.config.seed = seed;
+    this.physics.reseed(seed);
+    this.renderer.reinitParticles(this.config.particleCount, seed);
+    
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) seedInput.value = seed;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    window.history.replaceState(null, '', url);
+  }
+  
+  /**
+   * Add a force field to the running simulation, returns its id
+   */
+  addField(type, params = {}) {
+    return this.physics.addField(type, params);
+  }
+  
+  removeField(id) {
+    this.physics.removeField(id);
+  }
+  
+  /**
+   * Add or remove a panel field by type, returns whether it is now active
+   */
+  toggleField(type) {
+    if (this.fieldIds[type]) {
+      this.removeField(this.fieldIds[type]);
+      delete this.fieldIds[type];
+      return false;
+    }
+    this.fieldIds[type] = this.addField(type);
+    return true;
+  }
+  
+  /**
+   * Change world edge behaviour and sync the panel
+   * @param {Object} options - { shape?: 'circle'|'rect', mode?: 'respawn'|'wrap'|'bounce'|'bounce-inelastic'|'absorb' }
+   */
+  setBoundary({ shape, mode }) {
+    if (shape) this.params.boundaryShape = shape;
+    if (mode) this.params.boundaryMode = mode;
+    this.applyBoundary();
+    
+    document.querySelectorAll('.boundary-shape-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.shape === this.params.boundaryShape);
+    });
+    document.querySelectorAll('.boundary-mode-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === this.params.boundaryMode);
+    });
+  }
+  
+  applyBoundary() {
+    this.physics.setBoundary({
+      shape: this.params.boundaryShape,
+      mode: this.params.boundaryMode,
+      ...this.renderer?.getViewExtents()
+    });
+  }
+  
+  updateBoundaryExtents() {
+    if (!this.renderer?.camera) return;
+    this.physics.setBoundary(this.renderer.getViewExtents());
+  }
+  
+  /**
+   * Add or remove a panel emitter preset, returns whether it is now active
+   */
+  toggleEmitter(preset) {
+    if (this.emitterIds[preset]) {
+      this.physics.removeEmitter(this.emitterIds[preset]);
+      delete this.emitterIds[preset];
+      return false;
+    }
+    const { type, params } = EMITTER_PRESETS[preset];
+    this.emitterIds[preset] = this.physics.addEmitter(type, params);
+    return true;
+  }
+  
+  /**
+   * Push panel state for the built-in ambient and self-gravity fields
+   * (used after the physics worker is recreated)
+   */
+  applyFieldSettings() {
+    this.physics.setField('ambient', { enabled: this.params.ambientFlow });
+    this.physics.setField('selfGravity', { enabled: this.params.selfGravity });
+    this.physics.setField('boids', { enabled: this.params.flock });
+    for (const slider of FIELD_SLIDERS) {
+      this.physics.setField(slider.fieldId, { [slider.field]: this.params[slider.param] * (slider.scale ?? 1) });
+    }
+  }
+  
+  /**
+   * Add a solid obstacle to the simulation and the scene
+   */
+  addCollider(type, params) {
+    const id = this.physics.addCollider(type, params);
+    this.colliders.push({ id, type, params });
+    this.renderer.updateColliders(this.colliders);
+    return id;
+  }
+  
+  clearColliders() {
+    this.physics.clearColliders();
+    this.colliders = [];
+    this.renderer.updateColliders(this.colliders);
+  }
+  
+  /**
+   * POINTING hands spray a stream from the index fingertip along the finger
+   */
+  updateHandEmitters(pointers) {
+    const active = this.fingerStreams && this.gameMode.currentMode !== 'draw' ? pointers : [];
+    
+    // Streams follow hand ids, so a hand keeps its stream when the other drops out
+    for (let i = 0; i < 2; i++) {
+      if (!active.some(p => p.handId === this.handEmitterOwners[i])) this.handEmitterOwners[i] = null;
+    }
+    for (const pointer of active) {
+      if (this.handEmitterOwners.includes(pointer.handId)) continue;
+      const free = [0, 1].find(i => this.handEmitterOwners[i] == null);
+      if (free !== undefined) this.handEmitterOwners[free] = pointer.handId;
+    }
+    
+    for (let i = 0; i < 2; i++) {
+      const pointer = active.find(p => p.handId === this.handEmitterOwners[i]);
+      const id = this.handEmitterIds[i];
+      
+      if (pointer) {
+        const params = {
+          x: pointer.x * 1.5, // Same world scaling as gravity wells
+          y: pointer.y * 1.2,
+          direction: Math.atan2(pointer.dy * 1.2, pointer.dx * 1.5),
+          enabled: true
+        };
+        if (id) {
+          this.physics.setEmitter(id, params);
+        } else {
+          this.handEmitterIds[i] = this.physics.addEmitter('point', {
+            ...params, rate: 90, speed: 0.035, spread: 0.12, lifetime: 2.5
+          });
+        }
+      } else if (id) {
+        this.physics.setEmitter(id, { enabled: false });
+      }
+    }
+  }
+  
+  setIntegrator(name) {
+    this.params.integrator = name;
+    this.physics.set({ integrator: name });
+    document.querySelectorAll('.integrator-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.integrator === name);
+    });
+  }
+  
   setAttractMode(attract) {
     this.params.attractMode = attract;
-    this.physics.attractMode = attract;
+    this.physics.set({ attractMode: attract });
     document.getElementById('attract-btn')?.classList.toggle('active', attract);
     document.getElementById('repel-btn')?.classList.toggle('active', !attract);
   }
   
+  /**
+   * Turn boids flocking on or off; hands keep acting as wells on top
+   */
+  setFlockMode(enabled) {
+    this.params.flock = enabled;
+    this.physics.setField('boids', { enabled });
+    document.getElementById('flock-btn')?.classList.toggle('active', enabled);
+    document.getElementById('flock-controls')?.classList.toggle('hidden', !enabled);
+  }
+  
+  /**
+   * Turn the volumetric world and orbit camera on or off
+   */
+  setMode3D(enabled) {
+    this.params.mode3D = enabled;
+    this.physics.setDimensions(enabled ? 3 : 2);
+    this.renderer.setMode3D(enabled);
+    this.orbitGesture = null;
+    document.getElementById('mode3d-btn')?.classList.toggle('active', enabled);
+  }
+  
+  /**
+   * Two hands POINTING steer the 3D camera like a wheel: tilting the line
+   * between them orbits around, raising both hands tilts the view
+   */
+  updateOrbitGesture(gravityWells) {
+    const steering = this.params.mode3D && gravityWells.length === 2 &&
+      gravityWells.every(well => well.gesture === 'POINTING');
+    if (!steering) {
+      this.orbitGesture = null;
+      return;
+    }
+    
+    const [a, b] = gravityWells;
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const height = (a.y + b.y) / 2;
+    if (this.orbitGesture) {
+      // Unwrap so crossing ±π does not spin the camera
+      let dAngle = angle - this.orbitGesture.angle;
+      if (dAngle > Math.PI) dAngle -= Math.PI * 2;
+      if (dAngle < -Math.PI) dAngle += Math.PI * 2;
+      this.renderer.orbitBy(-dAngle * 1.5, (height - this.orbitGesture.height) * 1.5);
+    }
+    this.orbitGesture = { angle, height };
+  }
+  
+  /**
+   * Switch the rules that give each hand its polarity and strength
+   */
+  setHandRoles(preset) {
+    this.params.handRoles = preset;
+    this.handTracker.setRoleRules(ROLE_PRESETS[preset]);
+    document.querySelectorAll('.role-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.roles === preset);
+    });
+  }
+  
   toggleDrawMode() {
     console.log('toggleDrawMode() called');
     const isDrawing = this.gameMode.currentMode === 'draw';
@@ -350,25 +1285,69 @@ class GravitySculptor {
     
     // Reset physics params
     this.chaosMode = false;
-    this.physics.chaosMode = false;
-    this.physics.attractMode = true;
+    this.physics.set({ chaosMode: false, chaosFactor: 1.0, attractMode: true });
+    
+    // Remove panel force fields
+    for (const id of Object.values(this.fieldIds)) {
+      this.removeField(id);
+    }
+    this.fieldIds = {};
+    document.querySelectorAll('.field-btn').forEach(btn => btn.classList.remove('active'));
+    
+    // Remove panel emitters
+    for (const id of Object.values(this.emitterIds)) {
+      this.physics.removeEmitter(id);
+    }
+    this.emitterIds = {};
+    document.querySelectorAll('.emitter-btn').forEach(btn => btn.classList.remove('active'));
+    
+    // Remove walls and bumpers, release structures
+    this.clearColliders();
+    this.physics.clearStructures();
     
     this.updateScoreDisplay();
   }
   
-  startChallenge(type) {
+  startChallenge(type, options = {}, label = type.toUpperCase()) {
     this.resetParticles();
-    const challenge = this.gameMode.startChallenge(type);
+    const challenge = this.gameMode.startChallenge(type, options);
+    this.challengeLabel = label;
     
     // Show challenge UI
     const display = document.getElementById('challenge-display');
     const title = document.getElementById('challenge-title');
     if (display && title) {
       display.classList.add('active');
-      title.textContent = type.toUpperCase();
+      title.textContent = label;
     }
   }
   
+  /**
+   * Sort reds left and blues right (switches to mixed charges if needed)
+   */
+  startSortChallenge() {
+    if (this.physics.speciesIndex('red') < 0 || this.physics.speciesIndex('blue') < 0) {
+      this.setSpecies('mixed');
+    }
+    const targets = [
+      { species: this.physics.speciesIndex('red'), side: -1 },
+      { species: this.physics.speciesIndex('blue'), side: 1 }
+    ];
+    this.startChallenge('sort', { targets }, 'SORT: RED ⬅ BLUE ➡');
+  }
+  
+  /**
+   * Switch to a species preset (see Species.js)
+   */
+  setSpecies(preset) {
+    this.params.species = preset;
+    this.physics.setSpecies(SPECIES_PRESETS[preset]);
+    this.renderer.setSpecies(this.physics.species);
+    document.querySelectorAll('.species-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.species === preset);
+    });
+  }
+  
   updateScoreDisplay() {
     const state = this.gameMode.getState();
     
@@ -411,6 +1390,120 @@ class GravitySculptor {
   resetParticles() {
     this.physics.initParticles();
   }
+  
+  togglePause() {
+    this.clock.togglePause();
+    this.updateTimeControls();
+  }
+  
+  /**
+   * Advance one frame and stay paused
+   */
+  stepFrame() {
+    this.clock.step();
+    if (this.handTracker?.playback?.stepped) this.handTracker.stepPlayback();
+    this.updateTimeControls();
+  }
+  
+  setTimeScale(scale) {
+    this.clock.setTimeScale(scale);
+    this.updateTimeControls();
+  }
+  
+  /**
+   * Begin scrubbing backwards through the rewind buffer (while held)
+   */
+  startRewind() {
+    if (this.rewinding) return;
+    this.rewinding = true;
+    this.rewindResume = !this.clock.paused;
+    this.clock.pause();
+    this.lastRewindAt = 0;
+    this.updateTimeControls();
+  }
+  
+  stopRewind() {
+    if (!this.rewinding) return;
+    this.rewinding = false;
+    if (this.rewindResume) this.clock.resume();
+    this.updateTimeControls();
+  }
+  
+  /**
+   * Restore the next older rewind snapshot, at twice real-time speed
+   */
+  stepRewind() {
+    const now = performance.now();
+    if (this.rewindBusy || now - this.lastRewindAt < this.rewindBuffer.interval * 500) return;
+    
+    const entry = this.rewindBuffer.pop();
+    if (!entry) return; // Reached the oldest kept moment
+    this.lastRewindAt = now;
+    this.rewindBusy = true;
+    
+    this.clock.seek(entry.time);
+    this.gameMode.rewindTo(entry.time);
+    this.physics.restore(entry.snapshot.physics)
+      .then(() => this.applyPanel(entry.snapshot))
+      .catch(err => console.error('Rewind failed:', err))
+      .finally(() => {
+        this.rewindBusy = false;
+      });
+  }
+  
+  /**
+   * Keep the rewind buffer topped up while time runs
+   */
+  captureRewind() {
+    const time = this.clock.now();
+    if (this.capturingRewind || this.rewinding || !this.rewindBuffer.isDue(time)) return;
+    
+    this.capturingRewind = true;
+    const physics = this.physics;
+    const panel = this.describePanel();
+    physics.requestSnapshot()
+      .then(snapshot => {
+        // Dropped if the pool was rebuilt or a rewind started meanwhile
+        if (physics === this.physics && !this.rewinding) {
+          this.rewindBuffer.push(time, { physics: snapshot, ...panel });
+        }
+      })
+      .catch(err => console.warn('Rewind capture failed:', err))
+      .finally(() => {
+        this.capturingRewind = false;
+      });
+  }
+  
+  /**
+   * Reflect the clock in the panel buttons and HUD
+   */
+  updateTimeControls() {
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseBtn) {
+      pauseBtn.textContent = this.clock.paused ? '▶ Play' : '⏸ Pause';
+      pauseBtn.classList.toggle('active', this.clock.paused);
+    }
+    document.getElementById('rewind-btn')?.classList.toggle('active', this.rewinding);
+    document.querySelectorAll('.time-scale-btn').forEach(btn => {
+      btn.classList.toggle('active', parseFloat(btn.dataset.scale) === this.clock.timeScale);
+    });
+    const timeVal = document.getElementById('time-val');
+    if (timeVal) timeVal.textContent = `${this.clock.timeScale}x`;
+    
+    const timeStatus = document.getElementById('time-status');
+    if (timeStatus) {
+      if (this.rewinding) {
+        timeStatus.textContent = `⏪ REWIND ${this.rewindBuffer.duration.toFixed(1)}s`;
+        timeStatus.style.color = '#f0f';
+      } else if (this.clock.paused) {
+        timeStatus.textContent = '⏸ PAUSED';
+        timeStatus.style.color = '#ff0';
+      } else {
+        timeStatus.textContent = `▶ ${this.clock.timeScale}x`;
+        timeStatus.style.color = this.clock.timeScale === 1 ? '' : '#0ff';
+      }
+    }
+  }
 
   animate() {
     if (!this.isRunning) return;
@@ -420,18 +1513,31 @@ class GravitySculptor {
     // Skip if renderer not ready
     if (!this.renderer || !this.renderer.renderer) return;
     
-    // Calculate delta time for consistent physics
+    // Real elapsed seconds - physics substeps at a fixed rate internally
     const now = performance.now();
-    const dt = Math.min((now - this.lastTime) / 16.67, 2); // Normalize to 60fps, cap at 2x
+    const realDt = Math.min((now - this.lastTime) / 1000, 0.25); // Ignore long stalls
     this.lastTime = now;
     
+    // Game time: zero while paused, scaled in slow motion
+    if (this.rewinding) this.stepRewind();
+    const dt = this.clock.tick(realDt);
+    const gameNow = this.clock.now();
+    
     // Get gravity wells from hands (with null check)
     const gravityWells = this.handTracker?.getGravityWells() || [];
     const handVelocities = this.handTracker?.getHandVelocities() || [];
     
-    // Get gesture events and apply explosion/implosion effects
+    // A closed fist grabs ropes, nets and jelly; in 3D the calibrated hand depth places the well
+    for (const well of gravityWells) {
+      well.grab = well.gesture === 'FIST';
+      if (this.params.mode3D) well.z = well.depth ?? 0;
+    }
+    this.updateOrbitGesture(gravityWells);
+    
+    // Get gesture events and apply explosion/implosion effects (not while time is
+    // stopped, but a single step - like one frame of a stepped replay - counts)
     const gestureEvents = this.handTracker?.getGestureEvents() || [];
-    for (const event of gestureEvents) {
+    for (const event of dt > 0 ? gestureEvents : []) {
       if (event.type === 'EXPLOSION') {
         this.physics.applyExplosion(event.x, event.y, 1.5);
         this.gameMode.addScore(50); // Bonus for gesture
@@ -443,12 +1549,19 @@ class GravitySculptor {
     
     // Update HUD with gesture info
     const gestures = this.handTracker?.getGestures() || [];
-    this.updateHUD(gravityWells, gestures);
+    const confidences = this.handTracker?.getGestureConfidences() || [];
+    this.updateHUD(gravityWells, gestures, confidences);
+    
+    // Fingertip particle streams
+    this.updateHandEmitters(this.handTracker?.getPointers() || []);
     
     // Get finger tips for drawing
     const fingerTips = this.handTracker?.getFingerTips() || [];
     const isDrawMode = this.gameMode?.currentMode === 'draw';
     
+    // The mouse draws in draw mode, otherwise it orbits the 3D camera
+    this.renderer.setOrbitEnabled(!isDrawMode);
+    
     // Update visual finger cursor
     if (this.renderer.updateFingerCursor) {
       this.renderer.updateFingerCursor(fingerTips, isDrawMode);
@@ -461,26 +1574,34 @@ class GravitySculptor {
       }
     }
     
-    // Get path forces for particles
-    const pathForces = this.gameMode.currentMode === 'draw' ? 
+    // Get path forces for particles (walls in progress don't attract)
+    const activePath = this.gameMode.currentMode === 'draw' ? 
       this.gameMode.getActivePath() : [];
+    const pathForces = this.gameMode.wallMode ? [] : activePath;
     
-    // Update physics with speed modifier and path forces
-    this.physics.update(gravityWells, handVelocities, dt * this.params.particleSpeed, pathForces);
+    // Wall mode: finished strokes become solid polylines
+    if (this.gameMode.wallMode && activePath.length > 0) {
+      const strokes = this.gameMode.takeFinishedStrokes();
+      for (const points of strokes) {
+        this.addCollider('polyline', { points, radius: 0.04, restitution: 0.7 });
+      }
+      if (strokes.length > 0) {
+        this.renderer.updatePathTrail(this.gameMode.drawPath, this.gameMode.artColors, gameNow);
+      }
+    }
+    
+    // Post inputs to the physics worker (never waits for the result)
+    if (!this.rewinding) {
+      this.physics.update(gravityWells, handVelocities, dt * this.params.particleSpeed, pathForces, gameNow);
+      if (dt > 0) this.captureRewind();
+    }
     
     // Detect orbits and award points
-    const orbitCount = this.gameMode.detectOrbits(
-      this.physics.positions, 
-      this.physics.velocities, 
-      this.config.particleCount
-    );
+    this.gameMode.detectOrbits(this.physics.diagnostics);
     
     // Update challenge progress
     if (this.gameMode.challengeActive) {
-      const result = this.gameMode.updateChallenge(
-        this.physics.positions, 
-        this.config.particleCount
-      );
+      const result = this.gameMode.updateChallenge(this.physics.diagnostics);
       this.updateChallengeDisplay(result);
     }
     
@@ -489,16 +1610,20 @@ class GravitySculptor {
       this.updateScoreDisplay();
     }
     
-    // Update renderer
-    this.renderer.updatePositions(this.physics.positions);
-    
-    // Update colors based on particle speeds
-    const speeds = this.physics.getSpeeds();
-    this.renderer.updateColors(speeds, gravityWells);
+    // Update renderer when the worker has handed back a new frame
+    if (this.physics.consumeFrame()) {
+      this.renderer.updatePositions(this.physics.positions, this.physics.alive);
+      
+      // Update colors based on particle speeds
+      const speeds = this.physics.getSpeeds();
+      this.renderer.updateColors(speeds, gravityWells, this.physics.speciesIds);
+      this.renderer.updateLinks(this.physics.positions, this.physics.links);
+    }
+    this.renderer.updateBlackHole(this.physics.blackHole);
     
     // Draw the path trail
-    if (pathForces.length > 0) {
-      this.renderer.updatePathTrail(pathForces, this.gameMode.artColors);
+    if (activePath.length > 0) {
+      this.renderer.updatePathTrail(activePath, this.gameMode.artColors, gameNow);
     }
     
     // Render
@@ -520,7 +1645,7 @@ class GravitySculptor {
   /**
    * Update the cyberpunk HUD overlay
    */
-  updateHUD(gravityWells, gestures) {
+  updateHUD(gravityWells, gestures, confidences = []) {
     // Only update every few frames for performance
     if (this.frameCount % 5 !== 0) return;
     
@@ -559,6 +1684,15 @@ class GravitySculptor {
           gestureEl.style.color = '#0f0';
           gestureEl.style.textShadow = '0 0 20px rgba(0, 255, 0, 0.8)';
           break;
+        case 'PINCH':
+          gestureEl.style.color = '#0ff';
+          gestureEl.style.textShadow = '0 0 20px rgba(0, 255, 255, 0.8)';
+          break;
+        case 'PEACE':
+        case 'THUMBS_UP':
+          gestureEl.style.color = '#f0f';
+          gestureEl.style.textShadow = '0 0 20px rgba(255, 0, 255, 0.8)';
+          break;
         default:
           gestureEl.style.color = '#888';
           gestureEl.style.textShadow = 'none';
@@ -568,16 +1702,56 @@ class GravitySculptor {
       gestureEl.style.color = '#888';
     }
     
-    // Particle count
+    // How sure the (debounced) gesture is
+    const confidenceEl = document.getElementById('gesture-confidence');
+    if (confidenceEl) {
+      confidenceEl.textContent = confidences.length > 0
+        ? confidences.map((c, i) => gestures[i] === 'LOST' ? 'LOST' : `${Math.round(c * 100)}%`).join(' · ')
+        : '—';
+    }
+
+    // Each hand's current role
+    const rolesEl = document.getElementById('hand-roles');
+    if (rolesEl) {
+      rolesEl.textContent = gravityWells.length === 0 ? '—' : gravityWells.map((well, i) => {
+        const hand = well.handedness ? well.handedness[0] : `H${i + 1}`;
+        const polarity = well.polarity ?? (this.params.attractMode ? 1 : -1);
+        const role = polarity > 0 ? 'ATTRACT' : 'REPEL';
+        return `${hand}: ${well.strength > 1 ? 'STRONG ' : ''}${role}`;
+      }).join(' · ');
+    }
+    
+    // Playback state
+    this.updateTimeControls();
+    
+    // Energy and how much of the cloud the wells hold
+    const energyEl = document.getElementById('energy-display');
+    const stats = this.physics.diagnostics;
+    if (energyEl && stats) {
+      const bound = stats.wells.reduce((sum, well) => sum + well.boundFraction, 0);
+      energyEl.textContent = `${stats.kineticEnergy.toFixed(3)} · ${Math.round(bound * 100)}% BOUND`;
+    }
+    
+    // Stable orbits around the wells
+    const orbitsEl = document.getElementById('orbit-display');
+    if (orbitsEl && stats) {
+      const periods = stats.wells.filter(well => well.orbits.stable > 0)
+        .map(well => `${well.orbits.period.toFixed(1)}s`);
+      orbitsEl.textContent = `${stats.stableOrbits} STABLE ORBITS${periods.length ? ` · ${periods.join(' / ')}` : ''}`;
+    }
+    
+    // Particle count (live particles out of the pool)
     const particleEl = document.getElementById('particle-count');
     if (particleEl) {
-      particleEl.textContent = this.config.particleCount.toLocaleString();
+      const live = this.renderer.liveCount ?? this.config.particleCount;
+      particleEl.textContent = live.toLocaleString();
     }
   }
 
   dispose() {
     this.isRunning = false;
     this.handTracker?.dispose();
+    this.physics?.dispose();
     this.renderer?.dispose();
   }
 }